@@ -218,6 +218,9 @@ export default function Chat({ token, service, logout, back, chatKey }) {
           {(activeService === "sender" || (!activeService && service === "sender")) && "Sender Chat"}
           {(activeService === "traveler" || (!activeService && service === "traveler")) && "Traveler Chat"}
           {activeService === "support" && "AirDlivers Support"}
+          {activeService === "alert" && "Route Alerts"}
+          {activeService === "repeat" && "Repeat a Trip"}
+          {activeService === "tracking" && "Track Shipment"}
           {!activeService && !service && "AirDlivers Chat"}
         </h3>
         <div style={{ display: 'flex', alignItems: 'center' }}>
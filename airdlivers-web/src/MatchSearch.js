@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from "react";
+
+const API = window.location.port === "3000" ? "http://localhost:8080" : "";
+
+export default function MatchSearch({ token, requestId, onRequested }) {
+    const [results, setResults] = useState([]);
+    const [role, setRole] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [notice, setNotice] = useState("");
+
+    const search = useCallback(() => {
+        setLoading(true);
+        fetch(`${API}/api/matches/search?requestId=${encodeURIComponent(requestId)}`, {
+            headers: { Authorization: token }
+        })
+            .then(res => res.json())
+            .then(d => {
+                if (d.error) setNotice(d.error);
+                setRole(d.role || null);
+                setResults(d.results || []);
+                setLoading(false);
+            })
+            .catch(err => {
+                console.error(err);
+                setLoading(false);
+            });
+    }, [token, requestId]);
+
+    useEffect(() => {
+        search();
+    }, [search]);
+
+    const requestMatch = async (otherRequestId) => {
+        try {
+            const res = await fetch(`${API}/api/matches/request`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    Authorization: token
+                },
+                body: JSON.stringify({ requestId, otherRequestId })
+            });
+            const d = await res.json();
+            setNotice(d.error || (d.reply || "").replace(/<[^>]+>/g, "") || "Request sent.");
+            if (onRequested) onRequested();
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const otherLabel = role === "traveler" ? "senders" : "travelers";
+
+    return (
+        <div style={{ marginTop: 10, padding: 10, border: "1px dashed #bbb", borderRadius: 8, backgroundColor: "#fff" }}>
+            {notice && <div style={{ marginBottom: 8, color: "#555", fontSize: 14 }}>{notice}</div>}
+            {loading ? (
+                <p style={{ margin: 0 }}>Searching...</p>
+            ) : results.length === 0 ? (
+                <p style={{ margin: 0, fontStyle: "italic", color: "gray" }}>No compatible {otherLabel} right now.</p>
+            ) : (
+                results.map(r => (
+                    <div key={r.requestId} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", borderBottom: "1px solid #eee", padding: "6px 0", fontSize: 14 }}>
+                        <span>
+                            <strong>{r.route}</strong> <span style={{ color: "gray" }}>({r.requestId})</span>
+                            <div>{r.dates} · {r.weight} · score {r.score}</div>
+                        </span>
+                        <button
+                            onClick={() => requestMatch(r.requestId)}
+                            style={{ padding: "6px 12px", backgroundColor: "#28a745", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer", whiteSpace: "nowrap" }}
+                        >
+                            🤝 Request
+                        </button>
+                    </div>
+                ))
+            )}
+        </div>
+    );
+}
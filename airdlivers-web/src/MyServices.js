@@ -1,12 +1,18 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
+import MatchSearch from "./MatchSearch";
+import RequestEdit from "./RequestEdit";
+import RequestTimeline from "./RequestTimeline";
 
 const API = window.location.port === "3000" ? "http://localhost:8080" : "";
 
 export default function MyServices({ token, onBack }) {
-    const [data, setData] = useState({ senders: [], travelers: [] });
+    const [data, setData] = useState({ senders: [], travelers: [], skipped: [] });
     const [loading, setLoading] = useState(true);
+    const [searchingFor, setSearchingFor] = useState(null);
+    const [editingFor, setEditingFor] = useState(null);
+    const [trackingFor, setTrackingFor] = useState(null);
 
-    useEffect(() => {
+    const loadServices = useCallback(() => {
         fetch(`${API}/api/my-services`, {
             headers: { Authorization: token }
         })
@@ -21,12 +27,143 @@ export default function MyServices({ token, onBack }) {
             });
     }, [token]);
 
+    useEffect(() => {
+        loadServices();
+    }, [loadServices]);
+
+    const undoSkip = async (skip) => {
+        try {
+            const res = await fetch(`${API}/api/matches/undo-skip`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    Authorization: token
+                },
+                body: JSON.stringify({ requestId: skip.decidedByRequestId, otherRequestId: skip.otherRequestId })
+            });
+            const d = await res.json();
+            if (d.error) alert(d.error);
+            loadServices();
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const cancelRequest = async (item) => {
+        const state = data.cancellable?.[item.requestId];
+        const question = state === "matched"
+            ? `${item.requestId} is already matched. Cancelling ends the match and your partner will be notified. Cancel anyway?`
+            : `Cancel request ${item.requestId}?`;
+        if (!window.confirm(question)) return;
+        try {
+            const res = await fetch(`${API}/api/requests/cancel`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    Authorization: token
+                },
+                body: JSON.stringify({ requestId: item.requestId, confirm: true })
+            });
+            const d = await res.json();
+            if (d.error) alert(d.error);
+            loadServices();
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // Cancelling is free before a match; after hand-over only support can cancel
+    const renderCancel = (item) => {
+        const state = data.cancellable?.[item.requestId];
+        if (state === "handed_over") {
+            return <div style={{ marginTop: 8, fontSize: 13, color: "gray" }}>Handed over – contact support to cancel.</div>;
+        }
+        if (state !== "open" && state !== "matched") return null;
+        return (
+            <button
+                onClick={() => cancelRequest(item)}
+                style={{ marginTop: 8, marginLeft: 8, padding: "6px 12px", backgroundColor: "#dc3545", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+            >
+                🚫 Cancel request
+            </button>
+        );
+    };
+
+    // Approved requests that can still take a new match can browse counterparts
+    const canSearch = (item, isTraveler) => {
+        if (item.status !== 'Approved' || item.pendingMatchWith || item.deliveryCompleted) return false;
+        if (!isTraveler) return !item.matchLocked;
+        return Number(item.remainingWeight ?? item.data?.availableWeight) > 0 &&
+            !(item.matches || []).some(m => m.deliveryPendingApproval || m.deliveryCompleted);
+    };
+
+    const renderSearch = (item, isTraveler) => (
+        <>
+            {(canSearch(item, isTraveler) || searchingFor === item.requestId) && (
+                <button
+                    onClick={() => setSearchingFor(searchingFor === item.requestId ? null : item.requestId)}
+                    style={{ marginTop: 8, padding: "6px 12px", backgroundColor: "#007bff", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+                >
+                    {searchingFor === item.requestId ? "✖ Close search" : "🔍 Find a match"}
+                </button>
+            )}
+            {searchingFor === item.requestId && (
+                <MatchSearch token={token} requestId={item.requestId} onRequested={loadServices} />
+            )}
+        </>
+    );
+
+    // Open requests without a match in progress can be edited; the server decides which ones
+    const renderEdit = (item, role) => (
+        <>
+            {(data.editable || []).includes(item.requestId) && (
+                <button
+                    onClick={() => setEditingFor(editingFor === item.requestId ? null : item.requestId)}
+                    style={{ marginTop: 8, marginLeft: 8, padding: "6px 12px", backgroundColor: "#6c757d", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+                >
+                    {editingFor === item.requestId ? "✖ Close edit" : "✏️ Edit request"}
+                </button>
+            )}
+            {editingFor === item.requestId && (
+                <RequestEdit
+                    token={token}
+                    request={item}
+                    fields={data.editFields?.[role] || []}
+                    onSaved={() => { setEditingFor(null); loadServices(); }}
+                />
+            )}
+        </>
+    );
+
+    const renderTracking = (item) => (
+        <>
+            <button
+                onClick={() => setTrackingFor(trackingFor === item.requestId ? null : item.requestId)}
+                style={{ marginTop: 8, marginLeft: 8, padding: "6px 12px", backgroundColor: "#17a2b8", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+            >
+                {trackingFor === item.requestId ? "✖ Close timeline" : "📍 Track"}
+            </button>
+            {trackingFor === item.requestId && <RequestTimeline token={token} requestId={item.requestId} />}
+        </>
+    );
+
+    const getPackageStatusText = (m) => {
+        if (m.deliveryCompleted) return "Delivered";
+        if (m.deliveryPendingApproval) return "Delivery pending approval";
+        if (m.inTransitAt) return "In transit";
+        if (m.travelerReceived) return "Picked up";
+        return "Awaiting handover";
+    };
+
     const getStatusText = (item) => {
         if (item.deliveryCompleted) return "Delivered / Completed";
         if (item.deliveryPendingApproval) return "Picked up & Travelling";
         if (item.matchedWith) return "Match Confirmed";
         if (item.status === 'Approved') return "Approved / Waiting for match";
         if (item.status === 'Rejected') return "Rejected";
+        if (item.status === 'Cancelled') return "Cancelled";
+        if (item.status === 'Expired') return "Expired – re-post from the chat";
+        if (item.pendingEdit) return "Edited – awaiting re-approval";
         return "Requested";
     };
 
@@ -36,6 +173,8 @@ export default function MyServices({ token, onBack }) {
         if (item.matchedWith) return "#20c997";
         if (item.status === 'Approved') return "#007bff";
         if (item.status === 'Rejected') return "#dc3545";
+        if (item.status === 'Cancelled') return "#6c757d";
+        if (item.status === 'Expired') return "#6c757d";
         return "#ffc107";
     };
 
@@ -72,12 +211,63 @@ export default function MyServices({ token, onBack }) {
                                         <div style={{ marginTop: 4 }}>
                                             <strong>Dates:</strong> {s.data?.sendDate || '?'} ➡️ {s.data?.arrivalDate || '?'}
                                         </div>
+                                        {s.data?.dimensions && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Package:</strong> {s.data.weight} kg · {s.data.dimensions.l} × {s.data.dimensions.w} × {s.data.dimensions.h} cm
+                                            </div>
+                                        )}
+                                        {s.data?.manifest?.length > 0 && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Items:</strong>
+                                                {s.data.manifest.map((item, i) => (
+                                                    <div key={i} style={{ marginLeft: 10, fontSize: 14 }}>
+                                                        • {item.category} ×{item.quantity} – {item.value} {s.data.declaredCurrency || ''}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {[["handoverCode", "Handover code", s.handoverStarted && !s.travelerReceived], ["deliveryCode", "Delivery code", s.travelerReceived]]
+                                            .filter(([key, , active]) => active && s[key] && !s[key].verifiedAt && !s[key].locked && !s.deliveryCompleted)
+                                            .map(([key, label]) => (
+                                                <div key={key} style={{ marginTop: 4 }}>
+                                                    <strong>🔐 {label}:</strong> <span style={{ fontFamily: "monospace", fontSize: 16 }}>{s[key].code}</span>
+                                                </div>
+                                            ))}
+                                        {(s.handoverPhotoUrl || s.deliveryPhotoUrl) && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Package photos:</strong>
+                                                <div style={{ display: "flex", gap: 8, marginTop: 4 }}>
+                                                    {[["packagePhotoUrl", "Submitted", s.data], ["handoverPhotoUrl", "At handover", s], ["deliveryPhotoUrl", "At delivery", s]]
+                                                        .filter(([key, , src]) => src?.[key])
+                                                        .map(([key, label, src]) => (
+                                                            <a key={key} href={src[key]} target="_blank" rel="noreferrer" style={{ textAlign: "center", fontSize: 12, color: "gray", textDecoration: "none" }}>
+                                                                <img src={src[key]} alt={label} style={{ width: 80, height: 80, objectFit: "cover", borderRadius: 5, border: "1px solid #ccc", display: "block" }} />
+                                                                {label}
+                                                            </a>
+                                                        ))}
+                                                </div>
+                                            </div>
+                                        )}
+                                        {s.data?.recipientName && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Recipient:</strong> {s.data.recipientName} ({s.data.recipientPhone})
+                                                {s.recipientConfirmation && (
+                                                    <span style={{ marginLeft: 6, color: s.recipientConfirmation.received ? "#28a745" : "#dc3545" }}>
+                                                        {s.recipientConfirmation.received ? "✅ confirmed receipt" : "⚠️ reported not received"}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        )}
                                         <div style={{ marginTop: 4 }}>
                                             <strong>Status:</strong>{" "}
                                             <span style={{ color: getStatusColor(s), fontWeight: 'bold' }}>
                                                 {getStatusText(s)}
                                             </span>
                                         </div>
+                                        {renderSearch(s, false)}
+                                        {renderEdit(s, "sender")}
+                                        {renderTracking(s)}
+                                        {renderCancel(s)}
                                     </div>
                                 ))
                             ) : (
@@ -97,12 +287,34 @@ export default function MyServices({ token, onBack }) {
                                         <div style={{ marginTop: 4 }}>
                                             <strong>Dates:</strong> {t.data?.departureTime || '?'} ➡️ {t.data?.arrivalTime || '?'}
                                         </div>
+                                        <div style={{ marginTop: 4 }}>
+                                            <strong>Capacity:</strong> {t.remainingWeight ?? t.data?.availableWeight ?? '?'} kg free of {t.data?.availableWeight ?? '?'} kg
+                                        </div>
+                                        {t.data?.maxDimensions && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Max Size:</strong> {t.data.maxDimensions.l} × {t.data.maxDimensions.w} × {t.data.maxDimensions.h} cm
+                                            </div>
+                                        )}
+                                        {t.matches?.length > 0 && (
+                                            <div style={{ marginTop: 4 }}>
+                                                <strong>Packages:</strong>
+                                                {t.matches.map(m => (
+                                                    <div key={m.senderRequestId} style={{ marginLeft: 10, fontSize: 14 }}>
+                                                        📦 {m.senderRequestId} ({m.weight} kg) – {getPackageStatusText(m)}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
                                         <div style={{ marginTop: 4 }}>
                                             <strong>Status:</strong>{" "}
                                             <span style={{ color: getStatusColor(t), fontWeight: 'bold' }}>
                                                 {getStatusText(t)}
                                             </span>
                                         </div>
+                                        {renderSearch(t, true)}
+                                        {renderEdit(t, "traveler")}
+                                        {renderTracking(t)}
+                                        {renderCancel(t)}
                                     </div>
                                 ))
                             ) : (
@@ -110,6 +322,26 @@ export default function MyServices({ token, onBack }) {
                             )}
                         </div>
                     </div>
+
+                    {data.skipped?.length > 0 && (
+                        <div style={{ marginTop: 20 }}>
+                            <h3>➡ Skipped Suggestions</h3>
+                            {data.skipped.map(skip => (
+                                <div key={`${skip.decidedByRequestId}_${skip.otherRequestId}`} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", border: "1px solid #ddd", borderRadius: 8, padding: 10, marginBottom: 8, backgroundColor: "#f9f9f9" }}>
+                                    <span>
+                                        <strong>{skip.otherRequestId}</strong> skipped for {skip.decidedByRequestId}
+                                        {skip.reason && <span style={{ color: "gray" }}> ({skip.reason})</span>}
+                                    </span>
+                                    <button
+                                        onClick={() => undoSkip(skip)}
+                                        style={{ padding: "6px 12px", backgroundColor: "#007bff", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+                                    >
+                                        ↩️ Undo skip
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </div>
             )}
         </div>
@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Menu, X, Package, PlaneTakeoff, Info, Home, User, LogOut, ChevronDown, MessageCircleHeart, Bell } from 'lucide-react';
+import { Menu, X, Package, PlaneTakeoff, Info, Home, User, LogOut, ChevronDown, MessageCircleHeart, Bell, Repeat, MapPin } from 'lucide-react';
 import './Navbar.css';
 
 export default function Navbar({ token, openService, logout, openLogin, navigateTo, unreadSupport, unreadService, openSupportTab, openServiceTab }) {
@@ -80,6 +80,15 @@ export default function Navbar({ token, openService, logout, openLogin, navigate
                   <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); handleServiceClick('traveler'); }}>
                     <PlaneTakeoff size={16} style={{ marginRight: '8px' }} /> Travel With Shipment
                   </div>
+                  <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); handleServiceClick('alert'); }}>
+                    <Bell size={16} style={{ marginRight: '8px' }} /> Route Alerts
+                  </div>
+                  <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); handleServiceClick('repeat'); }}>
+                    <Repeat size={16} style={{ marginRight: '8px' }} /> Repeat a Trip
+                  </div>
+                  <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); handleServiceClick('track'); }}>
+                    <MapPin size={16} style={{ marginRight: '8px' }} /> Track Shipment
+                  </div>
                 </div>
               )}
             </div>
@@ -140,6 +149,9 @@ export default function Navbar({ token, openService, logout, openLogin, navigate
                 <span className="mobile-group-title">Services</span>
                 <span onClick={() => handleServiceClick('sender')} className="mobile-sub-item"><Package size={18} /> Send Shipment</span>
                 <span onClick={() => handleServiceClick('traveler')} className="mobile-sub-item"><PlaneTakeoff size={18} /> Travel With Shipment</span>
+                <span onClick={() => handleServiceClick('alert')} className="mobile-sub-item"><Bell size={18} /> Route Alerts</span>
+                <span onClick={() => handleServiceClick('repeat')} className="mobile-sub-item"><Repeat size={18} /> Repeat a Trip</span>
+                <span onClick={() => handleServiceClick('track')} className="mobile-sub-item"><MapPin size={18} /> Track Shipment</span>
                 <span onClick={() => handleServiceClick('my_services')} className="mobile-sub-item"><Package size={18} /> My Services</span>
               </div>
 
@@ -0,0 +1,72 @@
+import { useState } from "react";
+
+const API = window.location.port === "3000" ? "http://localhost:8080" : "";
+
+export default function RequestEdit({ token, request, fields, onSaved }) {
+    const [field, setField] = useState(fields[0]?.field || "");
+    const [value, setValue] = useState("");
+    const [saving, setSaving] = useState(false);
+    const [notice, setNotice] = useState("");
+
+    const current = request.data?.[field];
+    const currentText = current && typeof current === "object"
+        ? `${current.l} × ${current.w} × ${current.h} cm`
+        : (current ?? "–");
+
+    const save = async () => {
+        if (!value.trim()) return;
+        setSaving(true);
+        try {
+            const res = await fetch(`${API}/api/requests/edit`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    Authorization: token
+                },
+                body: JSON.stringify({ requestId: request.requestId, field, value })
+            });
+            const d = await res.json();
+            if (d.error) {
+                setNotice(d.error);
+            } else {
+                setValue("");
+                if (onSaved) onSaved();
+            }
+        } catch (err) {
+            console.error(err);
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div style={{ marginTop: 10, padding: 10, border: "1px dashed #bbb", borderRadius: 8, backgroundColor: "#fff", fontSize: 14 }}>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                <select
+                    value={field}
+                    onChange={e => { setField(e.target.value); setNotice(""); }}
+                    style={{ padding: 6, borderRadius: 5, border: "1px solid #ccc" }}
+                >
+                    {fields.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+                </select>
+                <input
+                    value={value}
+                    onChange={e => setValue(e.target.value)}
+                    placeholder="New value"
+                    style={{ flex: 1, minWidth: 140, padding: 6, borderRadius: 5, border: "1px solid #ccc" }}
+                />
+                <button
+                    onClick={save}
+                    disabled={saving}
+                    style={{ padding: "6px 12px", backgroundColor: "#28a745", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+                >
+                    {saving ? "Saving..." : "💾 Save"}
+                </button>
+            </div>
+            <div style={{ marginTop: 6, color: "gray" }}>Current: {String(currentText)}</div>
+            {notice && <div style={{ marginTop: 6, color: "#dc3545" }}>{notice}</div>}
+            <div style={{ marginTop: 6, fontStyle: "italic", color: "gray" }}>
+                Saving sends the request back to admin review.
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,89 @@
+import { useState, useEffect } from "react";
+
+const API = window.location.port === "3000" ? "http://localhost:8080" : "";
+
+export default function RequestTimeline({ token, requestId }) {
+    const [timeline, setTimeline] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [notice, setNotice] = useState("");
+    const [link, setLink] = useState(null);
+
+    useEffect(() => {
+        fetch(`${API}/api/requests/timeline?requestId=${encodeURIComponent(requestId)}`, {
+            headers: { Authorization: token }
+        })
+            .then(res => res.json())
+            .then(d => {
+                if (d.error) setNotice(d.error);
+                else setTimeline(d);
+                setLoading(false);
+            })
+            .catch(err => {
+                console.error(err);
+                setLoading(false);
+            });
+    }, [token, requestId]);
+
+    const shareLink = async () => {
+        try {
+            const res = await fetch(`${API}/api/requests/tracking-link`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    Authorization: token
+                },
+                body: JSON.stringify({ requestId })
+            });
+            const d = await res.json();
+            if (d.error) return setNotice(d.error);
+            setLink(d);
+            if (navigator.clipboard) navigator.clipboard.writeText(d.url).catch(() => { });
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const formatDate = (at) => new Date(at).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+
+    return (
+        <div style={{ marginTop: 10, padding: 10, border: "1px dashed #bbb", borderRadius: 8, backgroundColor: "#fff", fontSize: 14 }}>
+            {loading ? (
+                <p style={{ margin: 0 }}>Loading timeline...</p>
+            ) : !timeline ? (
+                <p style={{ margin: 0, color: "#dc3545" }}>{notice || "Timeline unavailable."}</p>
+            ) : (
+                <>
+                    <div style={{ marginBottom: 8, color: "#555" }}>
+                        {timeline.route} · <strong>{timeline.status}</strong>
+                    </div>
+                    {timeline.events.map((e, i) => (
+                        <div key={i} style={{ display: "flex", gap: 10, padding: "4px 0", borderLeft: "2px solid #007bff", paddingLeft: 10 }}>
+                            <span style={{ color: "gray", whiteSpace: "nowrap" }}>{formatDate(e.at)}</span>
+                            <span>
+                                {e.label}
+                                {e.detail && <span style={{ fontStyle: "italic", color: "gray" }}> ({e.detail})</span>}
+                            </span>
+                        </div>
+                    ))}
+                    {timeline.role === "sender" && (
+                        <button
+                            onClick={shareLink}
+                            style={{ marginTop: 10, padding: "6px 12px", backgroundColor: "#007bff", color: "#fff", border: "none", borderRadius: 5, cursor: "pointer" }}
+                        >
+                            🔗 Share tracking link
+                        </button>
+                    )}
+                    {link && (
+                        <div style={{ marginTop: 8 }}>
+                            <input readOnly value={link.url} onFocus={e => e.target.select()} style={{ width: "100%", padding: 6, borderRadius: 5, border: "1px solid #ccc", boxSizing: "border-box" }} />
+                            <div style={{ marginTop: 4, fontStyle: "italic", color: "gray" }}>
+                                Send this to the recipient. Valid until {formatDate(link.expiresAt)}; the page shows the route and milestones only.
+                            </div>
+                        </div>
+                    )}
+                    {notice && <div style={{ marginTop: 6, color: "#dc3545" }}>{notice}</div>}
+                </>
+            )}
+        </div>
+    );
+}
@@ -15,6 +15,7 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import multer from "multer";
 import { Readable } from "stream";
+import crypto from "crypto";
 import fetch from "node-fetch";
 
 // ------------------- __dirname for ES modules -------------------
@@ -47,6 +48,24 @@ const MONGO_URI = process.env.MONGO_URI;
 const MONGO_DB_NAME = process.env.MONGO_DB_NAME || 'airdlivers';
 const JWT_SECRET = process.env.JWT_SECRET || "secret";
 const BASE_URL = process.env.BASE_URL;   // ✅ FIRST CREATE THIS
+const MATCH_DATE_TOLERANCE_DAYS = numberFromEnv('MATCH_DATE_TOLERANCE_DAYS', 1);
+const MATCH_TOP_N = Number(process.env.MATCH_TOP_N) || 3;
+const MATCH_SWEEP_INTERVAL_MINUTES = Number(process.env.MATCH_SWEEP_INTERVAL_MINUTES ?? 30); // 0 disables
+const PENDING_MATCH_TIMEOUT_HOURS = Number(process.env.PENDING_MATCH_TIMEOUT_HOURS ?? 24);
+const IDENTITY_REUSE_DAYS = Number(process.env.IDENTITY_REUSE_DAYS ?? 180); // verified ID photos reusable for repeat trips
+const TRACKING_LINK_DAYS = Number(process.env.TRACKING_LINK_DAYS ?? 30);
+// Separate secret so a tracking link can never pass webAuth and a login token never opens a tracking page
+const TRACKING_LINK_SECRET = process.env.TRACKING_LINK_SECRET || `${JWT_SECRET}:tracking`;
+
+// A malformed value (e.g. "1d") would turn into NaN and silently break every comparison
+function numberFromEnv(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+    const n = Number(raw);
+    if (Number.isFinite(n) && n >= 0) return n;
+    console.warn(`⚠️ ${name}="${raw}" is not a valid number, using ${fallback} instead.`);
+    return fallback;
+}
 
 // ✅ ONLY AFTER BASE_URL EXISTS
 const PORT = process.env.PORT || 8080;
@@ -70,6 +89,12 @@ const TRAVELERS_JSON = join(__dirname, 'travelers.json');
 await fs.ensureFile(SENDERS_JSON);
 await fs.ensureFile(TRAVELERS_JSON);
 
+// ------------------- Bundled datasets -------------------
+const AIRPORTS_JSON = join(__dirname, 'data', 'airports.json');
+const METROS_JSON = join(__dirname, 'data', 'metros.json');
+const PROHIBITED_ITEMS_JSON = join(__dirname, 'data', 'prohibited-items.json');
+const CUSTOMS_RULES_JSON = join(__dirname, 'data', 'customs-rules.json');
+
 // 🛡️ GLOBAL CRASH PROTECTION
 process.on('unhandledRejection', (reason, p) => {
     console.error('Unhandled Rejection at:', p, 'reason:', reason);
@@ -88,7 +113,7 @@ async function safeAnswerCallback(queryId, options = {}) {
 }
 
 // ------------------- MongoDB -------------------
-let mongoClient, db, sendersCol, travelersCol, trackingCol, usersCol, supportTicketsCol, adminsCol;
+let mongoClient, db, sendersCol, travelersCol, trackingCol, usersCol, supportTicketsCol, adminsCol, settingsCol, matchCardsCol, matchDecisionsCol, matchRunsCol, routeAlertsCol;
 try {
     mongoClient = new MongoClient(MONGO_URI);
     await mongoClient.connect();
@@ -99,6 +124,11 @@ try {
     usersCol = db.collection("users");
     supportTicketsCol = db.collection("supportTickets");
     adminsCol = db.collection('admins');
+    settingsCol = db.collection('settings');
+    matchCardsCol = db.collection('matchCards');
+    matchDecisionsCol = db.collection('matchDecisions');
+    matchRunsCol = db.collection('matchRuns');
+    routeAlertsCol = db.collection('routeAlerts');
     console.log('✅ MongoDB connected successfully');
 } catch (e) {
     console.error('MongoDB connection error:', e);
@@ -171,6 +201,105 @@ app.post(
         }
     }
 );
+// ---------------- PUBLIC ROUTE BOARD API ----------------
+// Read-only and anonymised (route, dates, weight only), so it is open to any origin and registered
+// before the website CORS policy. Filters: ?origin=DXB&destination=London&dateFrom=DD-MM-YYYY&dateTo=DD-MM-YYYY
+// Only routes whose ends resolve to a registry airport or metro code are listed, so no user-typed
+// text is published, and the open listings are loaded at most once per ROUTE_BOARD_CACHE_MS.
+const ROUTE_BOARD_CACHE_MS = 60 * 1000;
+let routeBoardCache = { items: null, at: 0 };
+
+function routeBoardPlace(code, metroCode, text) {
+    if (code) return { code, metro: false };
+    const metro = metroCode ? metroByCode.get(metroCode) : resolveMetro(text);
+    return metro ? { code: metro.code, metro: true } : null;
+}
+
+function routeBoardPlaceMatches(place, entry) {
+    if (!entry.metro) return alertPlaceMatches(place, entry.code, entry.code);
+    return place.metro ? place.metro === entry.code : !!place.code && metroByCode.get(entry.code).airports.includes(place.code);
+}
+
+async function loadRouteBoardItems() {
+    if (routeBoardCache.items && Date.now() - routeBoardCache.at < ROUTE_BOARD_CACHE_MS) return routeBoardCache.items;
+
+    const openQuery = { status: 'Approved', matchLocked: { $ne: true } };
+    const senderFields = { requestId: 1, status: 1, matchLocked: 1, 'data.pickup': 1, 'data.destination': 1, 'data.pickupCode': 1, 'data.destinationCode': 1, 'data.destinationMetro': 1, 'data.sendDate': 1, 'data.sendDateTo': 1, 'data.arrivalDate': 1, 'data.weight': 1 };
+    const senders = (await sendersCol.find(openQuery, { projection: senderFields }).toArray())
+        .filter(d => !isRequestPastDate('sender', d))
+        .map(buildSenderSnapshot)
+        .map(s => ({
+            type: 'shipment',
+            origin: routeBoardPlace(s.pickupCode, null, s.pickup),
+            destination: routeBoardPlace(s.destinationCode, s.destinationMetro, s.destination),
+            start: moment(s.sendDate, 'DD-MM-YYYY', true),
+            end: moment(s.sendDateTo, 'DD-MM-YYYY', true),
+            listing: { sendFrom: s.sendDate, sendTo: s.sendDateTo, arriveBy: s.arrivalDate || null, weightKg: Number(s.weight) }
+        }));
+    const travelerFields = {
+        requestId: 1, status: 1, matchLocked: 1, remainingWeight: 1, deliveryCompleted: 1, deliveryPendingApproval: 1, matchedWith: 1,
+        'matches.senderRequestId': 1, 'matches.deliveryPendingApproval': 1, 'matches.deliveryCompleted': 1,
+        'data.departure': 1, 'data.destination': 1, 'data.departureCode': 1, 'data.destinationCode': 1, 'data.departureTime': 1, 'data.availableWeight': 1
+    };
+    const travelers = (await travelersCol.find({ status: 'Approved' }, { projection: travelerFields }).toArray())
+        .filter(d => !isRequestPastDate('traveler', d))
+        .map(buildTravelerSnapshot)
+        .filter(t => t.acceptingMatches && Number(t.remainingWeight) > 0)
+        .map(t => {
+            const day = moment(t.departureTime, 'DD-MM-YYYY HH:mm', true).startOf('day');
+            return {
+                type: 'trip',
+                origin: routeBoardPlace(t.departureCode, null, t.departure),
+                destination: routeBoardPlace(t.destinationCode, null, t.destination),
+                start: day,
+                end: day,
+                listing: { departureDate: day.isValid() ? day.format('DD-MM-YYYY') : null, freeKg: Number(t.remainingWeight) }
+            };
+        });
+
+    const items = [...senders, ...travelers].filter(item => item.origin && item.destination && item.start.isValid() && item.end.isValid());
+    routeBoardCache = { items, at: Date.now() };
+    return items;
+}
+
+app.get("/api/routes", cors(), async (req, res) => {
+    try {
+        const { origin, destination, dateFrom, dateTo } = req.query;
+        const from = dateFrom ? moment(String(dateFrom), 'DD-MM-YYYY', true) : null;
+        const to = dateTo ? moment(String(dateTo), 'DD-MM-YYYY', true) : null;
+        if ((from && !from.isValid()) || (to && !to.isValid())) {
+            return res.status(400).json({ error: "Dates must be in DD-MM-YYYY format" });
+        }
+        const originPlace = origin ? resolveAlertPlace(String(origin)) : null;
+        const destinationPlace = destination ? resolveAlertPlace(String(destination)) : null;
+
+        const routes = new Map();
+        for (const item of await loadRouteBoardItems()) {
+            if (originPlace && !routeBoardPlaceMatches(originPlace, item.origin)) continue;
+            if (destinationPlace && !routeBoardPlaceMatches(destinationPlace, item.destination)) continue;
+            if (from && item.end.isBefore(from)) continue;
+            if (to && item.start.isAfter(to)) continue;
+
+            const key = `${item.origin.code}|${item.destination.code}`;
+            if (!routes.has(key)) routes.set(key, { origin: item.origin.code, destination: item.destination.code, trips: [], shipments: [] });
+            routes.get(key)[item.type === 'trip' ? 'trips' : 'shipments'].push(item.listing);
+        }
+
+        const list = [...routes.values()].sort((a, b) => (b.trips.length + b.shipments.length) - (a.trips.length + a.shipments.length));
+        res.json({
+            routes: list,
+            totals: {
+                trips: list.reduce((n, r) => n + r.trips.length, 0),
+                shipments: list.reduce((n, r) => n + r.shipments.length, 0)
+            },
+            generatedAt: new Date(routeBoardCache.at)
+        });
+    } catch (err) {
+        console.error("routes board error", err);
+        res.status(500).json({ error: "Failed to load routes" });
+    }
+});
+
 // 🔥 THEN WEBSITE MIDDLEWARE
 app.use(cors({
     origin: function (origin, callback) {
@@ -214,14 +343,163 @@ app.get("/api/my-services", webAuth, async (req, res) => {
         const userIdObj = new ObjectId(req.user.id);
         const mySenders = await sendersCol.find({ userId: userIdObj }).sort({ createdAt: -1 }).toArray();
         const myTravelers = await travelersCol.find({ userId: userIdObj }).sort({ createdAt: -1 }).toArray();
-
-        res.json({ senders: mySenders, travelers: myTravelers });
+        const openIds = [...mySenders, ...myTravelers]
+            .filter(r => r.status === 'Approved' && !r.deliveryCompleted)
+            .map(r => r.requestId);
+        const skipped = await getActiveSkipsForRequests(openIds);
+        const editable = [
+            ...mySenders.filter(r => !requestEditBlockReason('sender', r)),
+            ...myTravelers.filter(r => !requestEditBlockReason('traveler', r))
+        ].map(r => r.requestId);
+        const cancellable = Object.fromEntries([
+            ...mySenders.map(r => [r.requestId, cancelStateOf('sender', r)]),
+            ...myTravelers.map(r => [r.requestId, cancelStateOf('traveler', r)])
+        ].filter(([, state]) => state !== 'closed'));
+        const editFields = Object.fromEntries(Object.entries(EDITABLE_FIELDS).map(([role, fields]) =>
+            [role, Object.entries(fields).map(([field, def]) => ({ field, label: def.label }))]));
+
+        res.json({ senders: mySenders, travelers: myTravelers, skipped, editable, editFields, cancellable });
     } catch (err) {
         console.error("my-services error", err);
         res.status(500).json({ error: "Failed to fetch services" });
     }
 });
 
+app.post("/api/matches/undo-skip", webAuth, async (req, res) => {
+    try {
+        const { requestId, otherRequestId } = req.body;
+        const userIdObj = new ObjectId(req.user.id);
+        const sender = await sendersCol.findOne({ requestId, userId: userIdObj });
+        const traveler = sender ? null : await travelersCol.findOne({ requestId, userId: userIdObj });
+        if (!sender && !traveler) return res.status(404).json({ error: "Request not found" });
+
+        const undone = await undoSkipDecision(sender ? 'sender' : 'traveler', requestId, otherRequestId);
+        if (!undone) return res.status(400).json({ error: "Nothing to undo" });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("undo-skip error", err);
+        res.status(500).json({ error: "Failed to undo skip" });
+    }
+});
+
+app.get("/api/matches/search", webAuth, async (req, res) => {
+    try {
+        const chatId = "web_" + req.user.id;
+        const searchable = await getSearchableRequests(chatId);
+        const current = searchable.find(r => r.doc.requestId === req.query.requestId);
+        if (!current) return res.status(404).json({ error: "Request is not open for matching" });
+
+        const results = await searchCounterparts(current.role, current.doc);
+        res.json({
+            requestId: current.doc.requestId,
+            role: current.role,
+            results: results.map(({ doc, score }) => describeSearchResult(current.role, doc, score))
+        });
+    } catch (err) {
+        console.error("match search error", err);
+        res.status(500).json({ error: "Search failed" });
+    }
+});
+
+// Sends a match request through the same confirmation handshake as the match cards
+app.post("/api/matches/request", webAuth, async (req, res) => {
+    try {
+        const userId = String(req.user.id);
+        const chatId = "web_" + userId;
+        const { requestId, otherRequestId } = req.body;
+        const searchable = await getSearchableRequests(chatId);
+        const current = searchable.find(r => r.doc.requestId === requestId);
+        if (!current || !otherRequestId) return res.status(404).json({ error: "Request is not open for matching" });
+
+        const mockQuery = {
+            data: searchRequestCallback(current.role, requestId, String(otherRequestId)),
+            message: { chat: { id: chatId }, message_id: Date.now() },
+            from: { id: userId },
+            id: "web_query_" + Date.now()
+        };
+        webCaptures[chatId] = { reply: "", buttons: null, parseMode: null };
+        await handleMatchCallback(mockQuery);
+        const cap = webCaptures[chatId];
+        delete webCaptures[chatId];
+
+        res.json({ reply: cap?.reply || null });
+    } catch (err) {
+        console.error("match request error", err);
+        res.status(500).json({ error: "Failed to send match request" });
+    }
+});
+
+app.get("/api/requests/timeline", webAuth, async (req, res) => {
+    try {
+        const timeline = await getTrackingTimeline(req.query.requestId, ownerQueryFor("web_" + req.user.id));
+        if (!timeline) return res.status(404).json({ error: "Request not found" });
+
+        const { role, doc, events } = timeline;
+        res.json({
+            requestId: doc.requestId,
+            role,
+            status: doc.status || 'Pending',
+            route: trackingRoute(role, doc),
+            events: events.map(e => ({ type: e.type, label: TRACKING_EVENTS[e.type] || e.type, detail: e.detail || '', at: e.at }))
+        });
+    } catch (err) {
+        console.error("request timeline error", err);
+        res.status(500).json({ error: "Failed to load timeline" });
+    }
+});
+
+app.post("/api/requests/tracking-link", webAuth, async (req, res) => {
+    try {
+        const owner = ownerQueryFor("web_" + req.user.id);
+        const doc = await sendersCol.findOne({ requestId: req.body.requestId, ...owner });
+        if (!doc) return res.status(404).json({ error: "Only your own shipments can be shared" });
+
+        res.json(createTrackingLink(doc.requestId));
+    } catch (err) {
+        console.error("tracking link error", err);
+        res.status(500).json({ error: "Failed to create tracking link" });
+    }
+});
+
+app.post("/api/requests/cancel", webAuth, async (req, res) => {
+    try {
+        const { requestId, confirm } = req.body;
+        const owner = ownerQueryFor("web_" + req.user.id);
+        const sender = await sendersCol.findOne({ requestId, ...owner });
+        const traveler = sender ? null : await travelersCol.findOne({ requestId, ...owner });
+        if (!sender && !traveler) return res.status(404).json({ error: "Request not found" });
+
+        const role = sender ? 'sender' : 'traveler';
+        const state = cancelStateOf(role, sender || traveler);
+        if (state === 'closed') return res.status(400).json({ error: "This request can no longer be cancelled." });
+        if (state === 'handed_over') return res.status(400).json({ error: "The package has already been handed over. Please contact support to cancel." });
+        if (state === 'matched' && !confirm) return res.status(409).json({ error: "This request is matched; confirm to cancel it.", needsConfirmation: true });
+
+        const released = await cancelRequest(role, sender || traveler, req.user.id);
+        res.json({ success: true, releasedPartners: released.length });
+    } catch (err) {
+        console.error("request cancel error", err);
+        res.status(500).json({ error: "Failed to cancel request" });
+    }
+});
+
+app.post("/api/requests/edit", webAuth, async (req, res) => {
+    try {
+        const { requestId, field, value } = req.body;
+        const owner = ownerQueryFor("web_" + req.user.id);
+        const sender = await sendersCol.findOne({ requestId, ...owner });
+        const traveler = sender ? null : await travelersCol.findOne({ requestId, ...owner });
+        if (!sender && !traveler) return res.status(404).json({ error: "Request not found" });
+
+        const result = await applyRequestEdit(sender ? 'sender' : 'traveler', sender || traveler, String(field || ''), String(value ?? ''));
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json({ success: true, request: result.doc });
+    } catch (err) {
+        console.error("request edit error", err);
+        res.status(500).json({ error: "Failed to edit request" });
+    }
+});
+
 app.get("/api/notifications/status", webAuth, async (req, res) => {
     try {
         const userId = req.user.id;
@@ -282,7 +560,41 @@ app.post("/api/chat/start", webAuth, async (req, res) => {
 
         // -------- TRACK --------
         if (service === "track") {
-            return res.json({ reply: "📞 Enter phone number used for shipment:" });
+            webCaptures[chatId] = { reply: "", buttons: null, parseMode: null };
+            await startTrackingFlow(chatId);
+            const cap = webCaptures[chatId];
+            delete webCaptures[chatId];
+            return res.json({
+                history: [{ from: "bot", text: cap?.reply || "", buttons: cap?.buttons || null }],
+                activeService: "tracking",
+                isMatched
+            });
+        }
+
+        // -------- ROUTE ALERTS --------
+        if (service === "alert") {
+            webCaptures[chatId] = { reply: "", buttons: null, parseMode: null };
+            await showRouteAlertsMenu(chatId);
+            const cap = webCaptures[chatId];
+            delete webCaptures[chatId];
+            return res.json({
+                history: [{ from: "bot", text: cap?.reply || "", buttons: cap?.buttons || null }],
+                activeService: "alert",
+                isMatched
+            });
+        }
+
+        // -------- REPEAT A PREVIOUS TRIP --------
+        if (service === "repeat") {
+            webCaptures[chatId] = { reply: "", buttons: null, parseMode: null };
+            await showRepeatMenu(chatId);
+            const cap = webCaptures[chatId];
+            delete webCaptures[chatId];
+            return res.json({
+                history: [{ from: "bot", text: cap?.reply || "", buttons: cap?.buttons || null }],
+                activeService: "repeat",
+                isMatched
+            });
         }
 
         // -------- SUPPORT --------
@@ -333,13 +645,13 @@ app.post("/api/chat/start", webAuth, async (req, res) => {
 
         let pendingSender = await sendersCol.findOne({ 
             userId: new ObjectId(userId), 
-            status: { $nin: ['Completed', 'Cancelled', 'Rejected'] }, 
+            status: { $nin: ['Completed', 'Cancelled', 'Rejected', 'Expired'] }, 
             deliveryCompleted: { $ne: true },
             deliveryPendingApproval: { $ne: true }
         }, { sort: { createdAt: -1 } });
         let pendingTraveler = await travelersCol.findOne({ 
             userId: new ObjectId(userId), 
-            status: { $nin: ['Completed', 'Cancelled', 'Rejected'] }, 
+            status: { $nin: ['Completed', 'Cancelled', 'Rejected', 'Expired'] }, 
             deliveryCompleted: { $ne: true },
             deliveryPendingApproval: { $ne: true }
         }, { sort: { createdAt: -1 } });
@@ -582,7 +894,7 @@ app.post("/api/chat/message", webAuth, async (req, res) => {
         }
 
         // 3️⃣ HANDLE POLLING / CALLBACKS (Service Flow)
-        if (message === "" || message.startsWith("m_") || message.startsWith("d_") || message.startsWith("cat_") || message.startsWith("sender_") || message.startsWith("traveler_")) {
+        if (message === "" || message.startsWith("m_") || message.startsWith("d_") || message.startsWith("cat_") || message.startsWith("sender_") || message.startsWith("traveler_") || message.startsWith("alert_") || message.startsWith("srch_") || message.startsWith("trk_")) {
             if (message !== "") console.log(`[REQ_DEBUG] Section 3 reached for ${message}`);
             if (message !== "") console.log(`[CHAT_DEBUG] Entering Section 3 (Callback) for ${message}`);
             if (message === "") return res.json({ reply: null, isMatched: !!(await findActiveMatchForUser(chatId)), activeService: user?.flowActive ? user.currentService : userSessions[chatId]?.type });
@@ -609,26 +921,12 @@ app.post("/api/chat/message", webAuth, async (req, res) => {
 
         // 4️⃣ HANDLE DELIVERY FLOW (High Priority Note Capture)
         if (session?.type === 'delivery_flow') {
-            const rId = session.requestId;
-            const note = message.toLowerCase() === 'none' ? '' : message;
-            
-            if (session.step === 'handover_note') {
-                await sendersCol.updateOne({ requestId: rId }, { $set: { handoverNote: note } });
-                await travelersCol.updateOne({ requestId: rId }, { $set: { handoverNote: note } });
-                delete userSessions[chatId];
-                await usersCol.updateOne({ _id: new ObjectId(userId) }, { $set: { flowStep: null, flowData: null, flowActive: false } });
-                
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `📋 <b>Traveler Confirmed Receipt</b>\nReq: <code>${rId}</code>\nNote: ${note || 'None'}`, { parse_mode: 'HTML' });
-                return res.json({ reply: "✅ Handover note saved. Chat remains open until final delivery.", activeService: "service" });
-            } else if (session.step === 'final_note') {
-                await travelersCol.updateOne({ requestId: rId }, { $set: { finalNote: note, deliveryPendingApproval: true } });
+            const { reply, done } = await handleDeliveryFlowText(session, message);
+            if (done) {
                 delete userSessions[chatId];
                 await usersCol.updateOne({ _id: new ObjectId(userId) }, { $set: { flowStep: null, flowData: null, flowActive: false } });
-
-                const adminKb = { inline_keyboard: [[{ text: "✅ Approve Delivery", callback_data: `d_admin_app_${rId}` }], [{ text: "❌ Reject", callback_data: `d_admin_rej_${rId}` }]] };
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `🏁 <b>Final Delivery Completed</b>\nReq: <code>${rId}</code>\nNote: ${note || 'None'}\nApprove closure?`, { parse_mode: 'HTML', reply_markup: adminKb });
-                return res.json({ reply: "✅ Final delivery note saved. Waiting for admin approval.", activeService: "service" });
             }
+            return res.json({ reply, activeService: "service" });
         }
 
         // 5️⃣ HANDLE PARTNER FORWARDING (Service Flow)
@@ -686,8 +984,12 @@ app.post("/api/chat/message", webAuth, async (req, res) => {
                 await handleSenderTextStep(chatId, message);
             } else if (session?.type === "traveler") {
                 await handleTravelerTextStep(chatId, message);
+            } else if (session?.type === "alert") {
+                await handleAlertTextStep(chatId, message);
+            } else if (session?.type === "edit") {
+                await handleEditTextStep(chatId, message);
             } else if (session?.type === "tracking") {
-                botReply = isValidPhone(message) ? "Tracking coming soon." : "❌ Invalid phone number.";
+                await handleTrackingTextStep(chatId, message);
             }
         } finally {
             // History & Status Update
@@ -757,35 +1059,17 @@ app.post("/api/chat/photo", webAuth, upload.single("photo"), async (req, res) =>
             else if (session.step === 'visa_photo') session.expectingPhoto = 'visa_photo';
         }
         
-        // --- 🚛 Delivery Flow Note Capture ---
+        // --- 🚛 Delivery Flow Photo Capture ---
         if (session?.type === 'delivery_flow') {
-            const reqId = session.requestId;
-            const note = message.toLowerCase() === 'none' ? '' : message;
-            
-            if (session.step === 'handover_note') {
-                await sendersCol.updateOne({ requestId: reqId }, { $set: { handoverNote: note } });
-                await travelersCol.updateOne({ requestId: reqId }, { $set: { handoverNote: note } }); // Backup on both
-                userSessions[chatId] = null;
-                await usersCol.updateOne({ _id: new ObjectId(userId) }, { $set: { flowStep: null, flowData: null, flowActive: false } });
-                
-                // Notify Admin
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `📋 <b>Traveler Confirmed Receipt</b>\nReq: <code>${reqId}</code>\nNote: ${note || 'None'}`, { parse_mode: 'HTML' });
-                return res.json({ reply: "✅ Handover note saved. Chat remains open until final delivery." });
-            } else if (session.step === 'final_note') {
-                await travelersCol.updateOne({ requestId: reqId }, { $set: { finalNote: note, deliveryPendingApproval: true } });
-                userSessions[chatId] = null;
+            if (!DELIVERY_PHOTO_STEPS[session.step]) {
+                return res.json({ reply: "📝 Please type your note as text, or type 'None'." });
+            }
+            const { reply, done } = await saveDeliveryPhoto(session, fileId, photoUrl);
+            if (done) {
+                delete userSessions[chatId];
                 await usersCol.updateOne({ _id: new ObjectId(userId) }, { $set: { flowStep: null, flowData: null, flowActive: false } });
-
-                // Notify Admin for approval
-                const adminKeyboard = {
-                    inline_keyboard: [
-                        [{ text: "✅ Approve Delivery", callback_data: `d_admin_app_${reqId}` }],
-                        [{ text: "❌ Reject", callback_data: `d_admin_rej_${reqId}` }]
-                    ]
-                };
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `🏁 <b>Final Delivery Completed</b>\nReq: <code>${reqId}</code>\nNote: ${note || 'None'}\nApprove closure?`, { parse_mode: 'HTML', reply_markup: adminKeyboard });
-                return res.json({ reply: "✅ Final delivery note saved. Waiting for admin approval." });
             }
+            return res.json({ reply, activeService: "service" });
         }
 
         if (!session) {
@@ -825,7 +1109,7 @@ app.post("/api/chat/photo", webAuth, upload.single("photo"), async (req, res) =>
 
         // Package photo
         if (session.expectingPhoto === 'package_photo') {
-            return nextWebUI('send_date', null, "📅 Enter Send Date (DD-MM-YYYY):", "packagePhoto");
+            return nextWebUI('send_date', null, "📅 Enter the earliest date you can hand over the package (DD-MM-YYYY):", "packagePhoto");
         }
 
         // Selfie
@@ -918,6 +1202,7 @@ app.post("/api/sender/create", webAuth, async (req, res) => {
         };
 
         await sendersCol.insertOne(doc);
+        await recordTrackingEvent(requestId, 'submitted');
 
         res.json({ success: true, requestId });
     } catch (e) {
@@ -926,6 +1211,33 @@ app.post("/api/sender/create", webAuth, async (req, res) => {
 });
 
 
+// ---------------- PUBLIC TRACKING PAGE ----------------
+app.get("/track/:token", async (req, res) => {
+    try {
+        const link = verifyTrackingToken(req.params.token);
+        const timeline = link ? await getPublicTimeline(link.requestId) : null;
+        res.set("Cache-Control", "no-store");
+        res.status(timeline ? 200 : 404).send(renderPublicTrackingPage(timeline, link?.recipient ? `/track/${req.params.token}/confirm` : null));
+    } catch (err) {
+        console.error("public tracking error", err);
+        res.status(500).send(renderPublicTrackingPage(null));
+    }
+});
+
+// Recipient links only; answers with the refreshed page
+app.post("/track/:token/confirm", async (req, res) => {
+    try {
+        const link = verifyTrackingToken(req.params.token);
+        const doc = link?.recipient ? await sendersCol.findOne({ requestId: link.requestId }) : null;
+        if (!doc) return res.status(404).send(renderPublicTrackingPage(null));
+        if (recipientCanConfirm(doc)) await recordRecipientConfirmation(doc, req.query.received === 'yes', RECIPIENT_LINK_VIA);
+        res.redirect(303, `/track/${req.params.token}`);
+    } catch (err) {
+        console.error("recipient confirm error", err);
+        res.status(500).send(renderPublicTrackingPage(null));
+    }
+});
+
 app.get("*", (req, res) => {
     // We only serve index.html for non-API requests
     if (req.path.startsWith("/api") || req.path.startsWith("/bot")) {
@@ -1032,33 +1344,366 @@ function getPinPadMarkup(pinBuffer = "") {
 // --- airport + matching helpers ---
 function normalizeAirportName(str = '') {
     return String(str || '')
-        .trim()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
         .toUpperCase()
+        // Letters of any script are kept so non-Latin names still compare equal to themselves
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .replace(/\b(AIRPORT|INTL|INTERNATIONAL)\b/g, ' ')
         .replace(/\s+/g, ' ')
-        .replace(/\s+AIRPORT\b/g, '')
-        .replace(/\s+INTL\b/g, '')
-        .replace(/\s+INTERNATIONAL\b/g, '');
+        .trim();
+}
+
+// Offline IATA/ICAO registry (data/airports.json), indexed once at startup
+const AIRPORTS = await fs.readJson(AIRPORTS_JSON).catch((e) => {
+    console.error('Airport registry could not be loaded:', e.message);
+    return [];
+});
+const airportByIata = new Map();
+const airportByIcao = new Map();
+const airportByName = new Map(); // normalized name / alias -> airport
+const airportsByCity = new Map(); // normalized city -> [airport]
+for (const ap of AIRPORTS) {
+    airportByIata.set(ap.iata, ap);
+    if (ap.icao) airportByIcao.set(ap.icao, ap);
+    for (const n of [ap.name, ...(ap.aliases || [])]) {
+        const key = normalizeAirportName(n);
+        if (key && !airportByName.has(key)) airportByName.set(key, ap);
+    }
+    const cityKey = normalizeAirportName(ap.city);
+    if (!airportsByCity.has(cityKey)) airportsByCity.set(cityKey, []);
+    airportsByCity.get(cityKey).push(ap);
+}
+
+// Resolve free text ("LHR", "EGLL", "Heathrow", "London Heathrow Airport", "Heathrow (LHR)")
+// to a registry entry. Returns null when unknown or ambiguous (e.g. a city with several airports).
+function resolveAirport(str = '') {
+    const raw = String(str || '').trim();
+    if (!raw) return null;
+
+    const bracketed = raw.toUpperCase().match(/\(([A-Z]{3,4})\)/);
+    if (bracketed) {
+        const hit = airportByIata.get(bracketed[1]) || airportByIcao.get(bracketed[1]);
+        if (hit) return hit;
+    }
+
+    const key = normalizeAirportName(raw);
+    if (!key) return null;
+    if (/^[A-Z]{3}$/.test(key) && airportByIata.has(key)) return airportByIata.get(key);
+    if (/^[A-Z]{4}$/.test(key) && airportByIcao.has(key)) return airportByIcao.get(key);
+    if (airportByName.has(key)) return airportByName.get(key);
+
+    const cityAirports = airportsByCity.get(key);
+    if (cityAirports && cityAirports.length === 1) return cityAirports[0];
+    return null;
 }
 
+function resolveAirportCode(str = '') {
+    return resolveAirport(str)?.iata || null;
+}
+
+// Multi-airport cities (data/metros.json), e.g. LON = LHR, LGW, STN, LTN, LCY, SEN
+const METROS = await fs.readJson(METROS_JSON).catch((e) => {
+    console.error('Metro registry could not be loaded:', e.message);
+    return [];
+});
+const metroByCode = new Map();
+const metroByName = new Map();
+const metroByAirport = new Map();
+for (const metro of METROS) {
+    metroByCode.set(metro.code, metro);
+    for (const n of [metro.name, ...(metro.aliases || [])]) {
+        const key = normalizeAirportName(n);
+        if (key && !metroByName.has(key)) metroByName.set(key, metro);
+    }
+    for (const iata of metro.airports) metroByAirport.set(iata, metro);
+}
+
+function resolveMetro(str = '') {
+    return metroByName.get(normalizeAirportName(str)) || null;
+}
+
+function metroForAirport(iata) {
+    return iata ? metroByAirport.get(iata) || null : null;
+}
+
+function formatMetro(metro) {
+    return `any ${metro.name} airport (${metro.airports.join(', ')})`;
+}
+
+function formatAirport(ap) {
+    return `${ap.name} (${ap.iata}), ${ap.city}, ${ap.country}`;
+}
+
+// Prefix for the next prompt so users can see how their airport text was understood
+function airportRecognitionNote(ap) {
+    if (ap) return `✅ Recognised: <b>${escapeHtml(formatAirport(ap))}</b>\n\n`;
+    return `⚠️ We couldn't recognise this airport, so it will be matched by name as typed. ` +
+        `Using the 3-letter IATA code (e.g. LHR) gives the best matches.\n\n`;
+}
+
+// a / b may be IATA codes or free text; registry codes win, otherwise fall back to a name comparison
 function airportsMatch(a, b) {
+    const ca = resolveAirportCode(a);
+    const cb = resolveAirportCode(b);
+    if (ca && cb) return ca === cb;
     const na = normalizeAirportName(a);
     const nb = normalizeAirportName(b);
-    return na && nb && na === nb;
+    return !!(na && nb && na === nb);
+}
+
+// Senders who opted into city-level matching accept any airport of their destination metro
+function destinationsMatch(senderSnap, travelerSnap) {
+    if (airportsMatch(senderSnap.destinationCode || senderSnap.destination, travelerSnap.destinationCode || travelerSnap.destination)) return true;
+    if (senderSnap.destinationMatchMode !== 'city' || !senderSnap.destinationMetro) return false;
+    return metroForAirport(travelerSnap.destinationCode)?.code === senderSnap.destinationMetro;
+}
+
+function landingAirportText(travelerSnap) {
+    const ap = airportByIata.get(travelerSnap.destinationCode);
+    return ap ? formatAirport(ap) : travelerSnap.destination;
+}
+
+function metroModeKeyboard(metro) {
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: `🏙 Any ${metro.name} airport`, callback_data: 'sender_metro_city' }],
+                [{ text: '✈️ Only this airport', callback_data: 'sender_metro_airport' }]
+            ]
+        }
+    };
+}
+
+// Traveler weight is a budget: a package fits if it is within the capacity still free
+function isWeightCompatible(packageWeight, remainingCapacity) {
+    if (packageWeight == null || remainingCapacity == null) return false;
+    const pkg = Number(packageWeight);
+    const free = Number(remainingCapacity);
+    if (isNaN(pkg) || isNaN(free) || pkg <= 0) return false;
+    return pkg <= free;
+}
+
+// Traveler must depart within the sender's send window (± tolerance) and land by the sender's deadline
+function areDatesClose(senderSnap, travelerSnap, toleranceDays = matchSettings.dateToleranceDays) {
+    if (!senderSnap?.sendDate || !travelerSnap?.departureTime) return false;
+    const from = moment(senderSnap.sendDate, 'DD-MM-YYYY', true);
+    const to = senderSnap.sendDateTo ? moment(senderSnap.sendDateTo, 'DD-MM-YYYY', true) : from.clone();
+    const departure = moment(travelerSnap.departureTime, 'DD-MM-YYYY HH:mm', true);
+    if (!from.isValid() || !to.isValid() || !departure.isValid()) return false;
+
+    const departureDay = departure.clone().startOf('day');
+    if (departureDay.isBefore(from.clone().subtract(toleranceDays, 'days'))) return false;
+    if (departureDay.isAfter(to.clone().add(toleranceDays, 'days'))) return false;
+
+    if (senderSnap.arrivalDate && travelerSnap.arrivalTime) {
+        const deadline = moment(senderSnap.arrivalDate, 'DD-MM-YYYY', true);
+        const arrival = moment(travelerSnap.arrivalTime, 'DD-MM-YYYY HH:mm', true);
+        if (deadline.isValid() && arrival.isValid() && arrival.clone().startOf('day').isAfter(deadline)) return false;
+    }
+    return true;
+}
+
+function formatSendWindow(data) {
+    if (!data?.sendDateTo || data.sendDateTo === data.sendDate) return data?.sendDate || 'N/A';
+    return `${data.sendDate} – ${data.sendDateTo}`;
+}
+
+// ------------------- Item screening -------------------
+// Prohibited / restricted item rules (data/prohibited-items.json). A rule applies when its
+// destination countries (if any) include the sender's destination and either the chosen
+// category or one of its keywords matches. 'block' rules stop the step, 'flag' rules let it
+// through; every hit is kept in data.screening and listed on the admin summary.
+const ITEM_RULES = ((await fs.readJson(PROHIBITED_ITEMS_JSON).catch((e) => {
+    console.error('Prohibited item rules could not be loaded:', e.message);
+    return {};
+})).rules || []).map(rule => ({
+    ...rule,
+    patterns: (rule.keywords || []).map(keyword => ({
+        keyword,
+        re: new RegExp(`(^|[^a-z0-9])${keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`, 'i')
+    }))
+}));
+
+function destinationCountryOf(data) {
+    const ap = data?.destinationCode ? airportByIata.get(data.destinationCode) : null;
+    if (ap) return ap.country;
+    return metroByCode.get(data?.destinationMetro)?.country || null;
+}
+
+// field is 'category', 'category_other' or 'notes'
+function screenItemText(field, text, data) {
+    const country = destinationCountryOf(data);
+    const hits = [];
+    for (const rule of ITEM_RULES) {
+        if (rule.countries?.length && !rule.countries.includes(country)) continue;
+        const byCategory = field === 'category' && (rule.categories || []).includes(text);
+        const keyword = byCategory ? null : rule.patterns.find(p => p.re.test(String(text || '')))?.keyword;
+        if (!byCategory && !keyword) continue;
+        hits.push({
+            ruleId: rule.id,
+            label: rule.label,
+            action: rule.action === 'block' ? 'block' : 'flag',
+            field,
+            match: byCategory ? text : keyword,
+            country: rule.countries?.length ? country : null
+        });
+    }
+    return { blocked: hits.find(h => h.action === 'block') || null, hits };
+}
+
+function recordScreeningHits(data, hits) {
+    if (!hits.length) return;
+    const kept = (data.screening || []).filter(h => !hits.some(n => n.ruleId === h.ruleId && n.field === h.field));
+    data.screening = [...kept, ...hits.map(h => ({ ...h, at: new Date() }))];
+}
+
+// Screens everything a sender declared against (possibly edited) request data. Flags from the old
+// details are replaced; blocked attempts stay on record for admins. Returns { blocked, screening }.
+function rescreenSenderItems(data) {
+    const next = { ...data, screening: (data.screening || []).filter(h => h.action === 'block') };
+    const results = [
+        ...(data.category ? [screenItemText(PACKAGE_CATEGORIES.includes(data.category) ? 'category' : 'category_other', data.category, data)] : []),
+        ...(data.manifest || []).map(item => screenItemText('manifest', item.category, data)),
+        screenItemText('notes', data.notes, data)
+    ];
+    const blocked = results.find(r => r.blocked)?.blocked || null;
+    if (!blocked) results.forEach(r => recordScreeningHits(next, r.hits));
+    return { blocked, screening: next.screening };
+}
+
+function blockedItemMessage(hit, prompt) {
+    return `🚫 <b>Not allowed:</b> ${escapeHtml(hit.label)}\n<i>(matched "${escapeHtml(hit.match)}")</i>\n\n${prompt}`;
+}
+
+function restrictedItemNote(hits) {
+    const flags = hits.filter(h => h.action === 'flag');
+    if (!flags.length) return '';
+    return flags.map(h => `⚠️ <b>Restricted:</b> ${escapeHtml(h.label)}`).join('\n') + `\n<i>Our admin team will review this.</i>\n\n`;
+}
+
+function formatScreeningForAdmin(data) {
+    if (!data?.screening?.length) return '';
+    const fieldNames = { category: 'category', category_other: 'other category', notes: 'notes', manifest: 'manifest item' };
+    return `\n⚠️ <b>Item screening:</b>\n` + data.screening.map(h =>
+        `${h.action === 'block' ? '🚫 Blocked attempt' : '🚩 Flag'} [${escapeHtml(h.ruleId)}] ${escapeHtml(h.label)} – ` +
+        `${fieldNames[h.field] || h.field} "${escapeHtml(h.match)}"${h.country ? ` (${escapeHtml(h.country)})` : ''}`
+    ).join('\n') + '\n';
+}
+
+// ------------------- Customs rules -------------------
+// Per destination country (data/customs-rules.json): duty-free allowance in local currency,
+// category notes and documents to carry. Declared values are converted through approximate USD rates.
+const CUSTOMS = await fs.readJson(CUSTOMS_RULES_JSON).catch((e) => {
+    console.error('Customs rules could not be loaded:', e.message);
+    return {};
+});
+const CUSTOMS_RATES = CUSTOMS.ratesToUSD || {};
+const CUSTOMS_COUNTRIES = CUSTOMS.countries || {};
+
+function currencyKeyboard() {
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                ['USD', 'EUR', 'GBP'].map(c => ({ text: c, callback_data: `sender_cur_${c}` })),
+                ['INR', 'AED', 'SAR'].map(c => ({ text: c, callback_data: `sender_cur_${c}` }))
+            ]
+        }
+    };
+}
+
+function convertCurrency(amount, from, to) {
+    if (from === to) return amount;
+    if (!CUSTOMS_RATES[from] || !CUSTOMS_RATES[to]) return null;
+    return amount * CUSTOMS_RATES[from] / CUSTOMS_RATES[to];
+}
+
+function formatDeclaredValue(data) {
+    if (data?.declaredValue == null) return 'N/A';
+    return `${data.declaredValue} ${data.declaredCurrency || ''}`.trim();
+}
+
+// Warnings for the destination country; empty when there is nothing to point out
+function customsWarnings(data) {
+    const country = destinationCountryOf(data);
+    const rule = country ? CUSTOMS_COUNTRIES[country] : null;
+    if (!rule) return [];
+
+    const warnings = [];
+    const value = Number(data?.declaredValue);
+    if (!isNaN(value) && data?.declaredCurrency && rule.dutyFreeLimit != null) {
+        const local = convertCurrency(value, data.declaredCurrency, rule.currency);
+        if (local == null) {
+            warnings.push(`Declared value in ${data.declaredCurrency} could not be compared with the ${country} allowance (${rule.dutyFreeLimit} ${rule.currency}).`);
+        } else if (local > rule.dutyFreeLimit) {
+            warnings.push(`Declared value (~${Math.round(local)} ${rule.currency}) is above the ${country} duty-free allowance of ${rule.dutyFreeLimit} ${rule.currency}; duty may be payable.`);
+        }
+    }
+    const categories = [...new Set([data?.category, ...(data?.manifest || []).map(i => i.category)])];
+    for (const category of categories) {
+        const categoryNote = rule.restrictedCategories?.[category];
+        if (categoryNote) warnings.push(`${category}: ${categoryNote}`);
+    }
+    if (warnings.length && rule.documents?.length) warnings.push(`Documents: ${rule.documents.join(', ')}.`);
+    return warnings;
+}
+
+function formatCustomsWarnings(data) {
+    const warnings = customsWarnings(data);
+    if (!warnings.length) return '';
+    return `\n🛃 <b>Customs (${escapeHtml(destinationCountryOf(data))}):</b>\n` +
+        warnings.map(w => `• ${escapeHtml(w)}`).join('\n') + '\n';
+}
+
+// ------------------- Package size & manifest -------------------
+const MAX_PACKAGE_SIDE_CM = 200;
+const MAX_MANIFEST_ITEMS = 10;
+
+// "40x30x20", "40 x 30 x 20 cm" or "40*30*20" -> { l, w, h } in cm
+function parseDimensions(text = '') {
+    const m = String(text).toLowerCase().replace(/cm/g, '').match(/^\s*(\d+(?:\.\d+)?)\s*[x×*]\s*(\d+(?:\.\d+)?)\s*[x×*]\s*(\d+(?:\.\d+)?)\s*$/);
+    if (!m) return null;
+    const [l, w, h] = m.slice(1, 4).map(Number);
+    if ([l, w, h].some(v => !(v > 0) || v > MAX_PACKAGE_SIDE_CM)) return null;
+    return { l, w, h };
+}
+
+function formatDimensions(dims) {
+    if (!dims) return 'N/A';
+    return `${dims.l} × ${dims.w} × ${dims.h} cm`;
 }
 
-function isWeightCompatible(senderWeight, travelerWeight) {
-    if (senderWeight == null || travelerWeight == null) return false;
-    const diff = Math.abs(Number(senderWeight) - Number(travelerWeight));
-    return diff <= 2; // ±2 kg
+// Orientation does not matter: compare the sides sorted from longest to shortest
+function packageFitsDimensions(dims, maxDims) {
+    if (!dims || !maxDims) return true;
+    const pkg = [dims.l, dims.w, dims.h].sort((a, b) => b - a);
+    const max = [maxDims.l, maxDims.w, maxDims.h].sort((a, b) => b - a);
+    return pkg.every((side, i) => side <= max[i]);
 }
 
-function areDatesClose(senderSendDateStr, travelerDepartureStr) {
-    if (!senderSendDateStr || !travelerDepartureStr) return false;
-    const s = moment(senderSendDateStr, 'DD-MM-YYYY', true);
-    const t = moment(travelerDepartureStr, 'DD-MM-YYYY HH:mm', true);
-    if (!s.isValid() || !t.isValid()) return false;
-    const diffDays = Math.abs(t.startOf('day').diff(s.startOf('day'), 'days'));
-    return diffDays <= 1;
+// "Shirts, 3, 45" -> { category, quantity, value }
+function parseManifestItem(text = '') {
+    const parts = String(text).split(',').map(p => p.trim());
+    if (parts.length !== 3 || parts[0].length < 2) return null;
+    const quantity = Number(parts[1]);
+    const value = Number(parts[2]);
+    if (!Number.isInteger(quantity) || quantity < 1 || isNaN(value) || value < 0) return null;
+    return { category: parts[0], quantity, value: Math.round(value * 100) / 100 };
+}
+
+function manifestTotal(items = []) {
+    return Math.round(items.reduce((sum, i) => sum + Number(i.value || 0), 0) * 100) / 100;
+}
+
+// One line per item for summaries; `compact` joins them for the length-limited match cards
+function formatManifest(data, compact = false) {
+    const items = data?.manifest || [];
+    if (!items.length) return compact ? 'N/A' : '';
+    const currency = data.declaredCurrency || '';
+    if (compact) return items.map(i => `${i.category} ×${i.quantity}`).join(', ');
+    return `<b>Manifest:</b>\n` + items
+        .map(i => `  • ${escapeHtml(i.category)} ×${i.quantity} - ${escapeHtml(`${i.value} ${currency}`.trim())}`)
+        .join('\n') + '\n';
 }
 
 // ------------------- JSON backup helpers -------------------
@@ -1090,23 +1735,35 @@ session example:
 */
 const adminAuth = {}; // userId -> { awaitingPin, loggedIn, super, awaitingCustomReasonFor }
 
-// ------------------- Keyboards -------------------
-function categoryKeyboardSingle() {
+// Matching knobs admins can change at runtime; persisted in the settings collection
+const matchSettings = {
+    dateToleranceDays: MATCH_DATE_TOLERANCE_DAYS,
+    pendingTimeoutHours: PENDING_MATCH_TIMEOUT_HOURS
+};
+try {
+    const stored = await settingsCol.findOne({ _id: 'matching' });
+    if (stored?.dateToleranceDays != null) matchSettings.dateToleranceDays = stored.dateToleranceDays;
+    if (stored?.pendingTimeoutHours != null) matchSettings.pendingTimeoutHours = stored.pendingTimeoutHours;
+} catch (e) {
+    console.error('Failed to load match settings:', e.message);
+}
 
-    const items = [
-        "Documents",
-        "Gold (with bill)",
-        "Medicines (With prescription & Bill)",
-        "Clothes",
-        "Food (Should be sealed)",
-        "Electronics",
-        "Gifts",
-        "Other"
-    ];
+// ------------------- Keyboards -------------------
+const PACKAGE_CATEGORIES = [
+    "Documents",
+    "Gold (with bill)",
+    "Medicines (With prescription & Bill)",
+    "Clothes",
+    "Food (Should be sealed)",
+    "Electronics",
+    "Gifts",
+    "Other"
+];
 
+function categoryKeyboardSingle() {
     return {
         reply_markup: {
-            inline_keyboard: items.map(i => [{
+            inline_keyboard: PACKAGE_CATEGORIES.map(i => [{
                 text: i,
                 callback_data: `cat_${i}`
             }])
@@ -1186,6 +1843,8 @@ const mainMenuInline = {
             [{ text: '🧳 Traveler (carry while travel)', callback_data: 'flow_traveler' }],
             [{ text: '📍 Track Shipment', callback_data: 'flow_tracking' }],
             [{ text: '📋 My Services', callback_data: 'flow_my_services' }],
+            [{ text: '🔔 Route Alerts', callback_data: 'flow_alerts' }],
+            [{ text: '🔁 Repeat a Previous Trip', callback_data: 'flow_repeat' }],
             [{ text: 'ℹ️ Help / Support', callback_data: 'flow_help' }]
         ]
     }
@@ -1208,8 +1867,14 @@ function buildSenderSnapshot(doc) {
         telegramId: doc?.telegramId,
         pickup: data.pickup,
         destination: data.destination,
+        pickupCode: data.pickupCode || resolveAirportCode(data.pickup),
+        destinationCode: data.destinationCode || resolveAirportCode(data.destination),
+        destinationMetro: data.destinationMetro || null,
+        destinationMatchMode: data.destinationMatchMode || 'airport',
         weight: data.weight,
+        dimensions: data.dimensions || null,
         sendDate: data.sendDate,
+        sendDateTo: data.sendDateTo || data.sendDate,
         arrivalDate: data.arrivalDate,
         status: doc?.status || 'Pending',
         matchLocked: !!doc?.matchLocked,
@@ -1225,11 +1890,19 @@ function buildTravelerSnapshot(doc) {
         telegramId: doc?.telegramId,
         departure: data.departure,
         destination: data.destination,
+        departureCode: data.departureCode || resolveAirportCode(data.departure),
+        destinationCode: data.destinationCode || resolveAirportCode(data.destination),
         departureTime: data.departureTime,
         arrivalTime: data.arrivalTime,
         availableWeight: data.availableWeight,
+        remainingWeight: doc?.remainingWeight ?? data.availableWeight,
+        maxDimensions: data.maxDimensions || null,
         status: doc?.status || 'Pending',
         matchLocked: !!doc?.matchLocked,
+        // Travelers keep taking packages until capacity runs out or final delivery starts
+        acceptingMatches: !doc?.deliveryCompleted &&
+            (!doc?.matchLocked || Array.isArray(doc?.matches)) &&
+            !getTravelerMatches(doc).some(m => m.deliveryPendingApproval || m.deliveryCompleted),
         pendingMatchWith: doc?.pendingMatchWith || null
     };
 }
@@ -1249,22 +1922,110 @@ async function downloadTelegramFile(fileId, targetName) {
     }
 }
 
-function isSenderTravelerCompatible(senderSnap, travelerSnap) {
-    if (!senderSnap || !travelerSnap) return false;
-    if (!senderSnap.pickup || !senderSnap.destination || !senderSnap.sendDate) return false;
-    if (!travelerSnap.departure || !travelerSnap.destination || !travelerSnap.departureTime) return false;
+// How two airport values matched: 'code' (same registry airport), 'name' (same text, unregistered) or null
+function airportMatchType(a, b) {
+    const ca = resolveAirportCode(a);
+    const cb = resolveAirportCode(b);
+    if (ca && cb) return ca === cb ? 'code' : null;
+    return airportsMatch(a, b) ? 'name' : null;
+}
 
-    if (!airportsMatch(senderSnap.pickup, travelerSnap.departure)) return false;
-    if (!airportsMatch(senderSnap.destination, travelerSnap.destination)) return false;
-    if (!isWeightCompatible(senderSnap.weight, travelerSnap.availableWeight)) return false;
-    if (!areDatesClose(senderSnap.sendDate, travelerSnap.departureTime)) return false;
-    if (senderSnap.matchLocked || travelerSnap.matchLocked) return false;
+// Structured compatibility report used by the matcher, the match cards and /whymatch.
+// Every check is evaluated (no early exit) so a miss can be explained in full.
+function evaluateCompatibility(senderSnap, travelerSnap, toleranceDays = matchSettings.dateToleranceDays) {
+    const checks = [];
+    const add = (key, ok, detail) => checks.push({ key, ok, detail });
+
+    const missing = [];
+    if (!senderSnap?.pickup || !senderSnap?.destination || !senderSnap?.sendDate) missing.push('sender route/dates');
+    if (!travelerSnap?.departure || !travelerSnap?.destination || !travelerSnap?.departureTime) missing.push('traveler route/dates');
+    add('data', missing.length === 0, missing.length ? `Missing ${missing.join(' and ')}` : 'Route and dates present');
+    if (missing.length) return { compatible: false, checks, reasons: checks.filter(c => !c.ok).map(c => c.detail) };
+
+    const originType = airportMatchType(senderSnap.pickupCode || senderSnap.pickup, travelerSnap.departureCode || travelerSnap.departure);
+    const originText = `${senderSnap.pickupCode || senderSnap.pickup} vs ${travelerSnap.departureCode || travelerSnap.departure}`;
+    add('origin', !!originType,
+        originType === 'code' ? `Same departure airport (${travelerSnap.departureCode})`
+            : originType === 'name' ? `Departure matched by name (${travelerSnap.departure})`
+                : `Different departure airports (${originText})`);
+
+    let destinationType = airportMatchType(senderSnap.destinationCode || senderSnap.destination, travelerSnap.destinationCode || travelerSnap.destination);
+    if (!destinationType && destinationsMatch(senderSnap, travelerSnap)) destinationType = 'metro';
+    const destinationText = `${senderSnap.destinationCode || senderSnap.destination} vs ${travelerSnap.destinationCode || travelerSnap.destination}`;
+    add('destination', !!destinationType,
+        destinationType === 'code' ? `Same arrival airport (${travelerSnap.destinationCode})`
+            : destinationType === 'name' ? `Arrival matched by name (${travelerSnap.destination})`
+                : destinationType === 'metro' ? `Lands at ${travelerSnap.destinationCode}, accepted as ${formatMetro(metroByCode.get(senderSnap.destinationMetro))}`
+                    : `Different arrival airports (${destinationText})`);
+
+    const packageKg = Number(senderSnap.weight);
+    const freeKg = Number(travelerSnap.remainingWeight);
+    const headroomKg = Math.round((freeKg - packageKg) * 100) / 100;
+    add('weight', isWeightCompatible(senderSnap.weight, travelerSnap.remainingWeight),
+        isNaN(packageKg) || isNaN(freeKg) ? 'Weight or capacity unknown'
+            : headroomKg >= 0 ? `${packageKg} kg package, ${headroomKg} kg headroom left`
+                : `${packageKg} kg package exceeds ${freeKg} kg free by ${-headroomKg} kg`);
+
+    const fits = packageFitsDimensions(senderSnap.dimensions, travelerSnap.maxDimensions);
+    add('size', fits,
+        !senderSnap.dimensions || !travelerSnap.maxDimensions ? 'No size limit to check'
+            : `${formatDimensions(senderSnap.dimensions)} package ${fits ? 'fits within' : 'does not fit within'} ${formatDimensions(travelerSnap.maxDimensions)}`);
+
+    const from = moment(senderSnap.sendDate, 'DD-MM-YYYY', true);
+    const to = senderSnap.sendDateTo ? moment(senderSnap.sendDateTo, 'DD-MM-YYYY', true) : from.clone();
+    const departureDay = moment(travelerSnap.departureTime, 'DD-MM-YYYY HH:mm', true).startOf('day');
+    let dateGapDays = null;
+    let dateDetail = 'Invalid dates';
+    if (from.isValid() && to.isValid() && departureDay.isValid()) {
+        dateGapDays = departureDay.isBefore(from) ? -from.diff(departureDay, 'days')
+            : departureDay.isAfter(to) ? departureDay.diff(to, 'days') : 0;
+        dateDetail = dateGapDays === 0 ? 'Departs inside the send window'
+            : `Departs ${Math.abs(dateGapDays)} day(s) ${dateGapDays < 0 ? 'before' : 'after'} the send window (tolerance ±${toleranceDays})`;
+        if (senderSnap.arrivalDate && travelerSnap.arrivalTime) {
+            const deadline = moment(senderSnap.arrivalDate, 'DD-MM-YYYY', true);
+            const arrivalDay = moment(travelerSnap.arrivalTime, 'DD-MM-YYYY HH:mm', true).startOf('day');
+            if (deadline.isValid() && arrivalDay.isValid()) {
+                const marginDays = deadline.diff(arrivalDay, 'days');
+                dateDetail += marginDays >= 0 ? `, lands ${marginDays} day(s) before the deadline` : `, lands ${-marginDays} day(s) after the deadline`;
+            }
+        }
+    }
+    add('dates', areDatesClose(senderSnap, travelerSnap, toleranceDays), dateDetail);
+
+    add('availability', !senderSnap.matchLocked && travelerSnap.acceptingMatches,
+        senderSnap.matchLocked ? 'Sender is already matched'
+            : !travelerSnap.acceptingMatches ? 'Traveler is not accepting more packages' : 'Both sides open for matching');
 
     // 🛡️ Loophole Fix: Cannot match with SELF
-    if (senderSnap.userId && travelerSnap.userId && String(senderSnap.userId) === String(travelerSnap.userId)) return false;
-    if (senderSnap.telegramId && travelerSnap.telegramId && String(senderSnap.telegramId) === String(travelerSnap.telegramId)) return false;
+    const sameUser = (senderSnap.userId && travelerSnap.userId && String(senderSnap.userId) === String(travelerSnap.userId)) ||
+        (senderSnap.telegramId && travelerSnap.telegramId && String(senderSnap.telegramId) === String(travelerSnap.telegramId));
+    add('owner', !sameUser, sameUser ? 'Both requests belong to the same user' : 'Different users');
 
-    return true;
+    return {
+        compatible: checks.every(c => c.ok),
+        originType,
+        destinationType,
+        packageKg,
+        freeKg,
+        headroomKg,
+        dateGapDays,
+        checks,
+        reasons: checks.filter(c => !c.ok).map(c => c.detail)
+    };
+}
+
+function isSenderTravelerCompatible(senderSnap, travelerSnap) {
+    if (!senderSnap || !travelerSnap) return false;
+    return evaluateCompatibility(senderSnap, travelerSnap).compatible;
+}
+
+// "Why this match" block for the match cards
+function formatMatchReasons(report) {
+    const icons = { origin: '🛫', destination: '🛬', weight: '⚖️', size: '📐', dates: '📅' };
+    return `<b>Why this match:</b>\n` + report.checks
+        .filter(c => icons[c.key])
+        .map(c => `${icons[c.key]} ${escapeHtml(c.detail)}`)
+        .join('\n') + '\n\n';
 }
 
 // ------------------- Match cards -------------------
@@ -1272,8 +2033,9 @@ async function sendMatchCardToSender(senderDoc, travelerDoc) {
     try {
         const s = buildSenderSnapshot(senderDoc);
         const t = buildTravelerSnapshot(travelerDoc);
-        if (!isSenderTravelerCompatible(s, t)) {
-            console.log(`[MATCH_DEBUG] Sender ${senderDoc.requestId} and Traveler ${travelerDoc.requestId} are NOT compatible for card.`);
+        const report = evaluateCompatibility(s, t);
+        if (!report.compatible) {
+            console.log(`[MATCH_DEBUG] Sender ${senderDoc.requestId} and Traveler ${travelerDoc.requestId} are NOT compatible for card: ${report.reasons.join('; ')}`);
             return;
         }
 
@@ -1281,15 +2043,23 @@ async function sendMatchCardToSender(senderDoc, travelerDoc) {
         text += `<b>Your Request ID:</b> <code>${escapeHtml(s.requestId)}</code>\n`;
         text += `<b>Route:</b> ${escapeHtml(s.pickup)} → ${escapeHtml(s.destination)}\n`;
         text += `<b>Your Package:</b> ${escapeHtml(String(s.weight))} kg, ${escapeHtml(senderDoc.data?.category || 'N/A')}\n`;
-        text += `<b>Your Send Date:</b> ${escapeHtml(s.sendDate)}\n\n`;
+        text += `<b>Size:</b> ${escapeHtml(formatDimensions(s.dimensions))}\n`;
+        text += `<b>Items:</b> ${escapeHtml(formatManifest(senderDoc.data, true))}\n`;
+        text += `<b>Declared Value:</b> ${escapeHtml(formatDeclaredValue(senderDoc.data))}\n`;
+        text += `<b>Your Send Window:</b> ${escapeHtml(formatSendWindow(s))}\n`;
+        text += `<b>Deliver By:</b> ${escapeHtml(s.arrivalDate || 'N/A')}\n\n`;
 
         text += `<b>Traveler Request ID:</b> <code>${escapeHtml(t.requestId)}</code>\n`;
         text += `<b>Traveler Route:</b> ${escapeHtml(t.departure)} → ${escapeHtml(t.destination)}\n`;
         text += `<b>Traveler Schedule:</b>\n  🛫 ${escapeHtml(t.departureTime)}\n  🛬 ${escapeHtml(t.arrivalTime || 'N/A')}\n`;
-        text += `<b>Traveler Capacity:</b> ${escapeHtml(String(t.availableWeight))} kg\n\n`;
+        text += `<b>Traveler Capacity:</b> ${escapeHtml(String(t.remainingWeight))} kg free of ${escapeHtml(String(t.availableWeight))} kg\n`;
+        if (t.maxDimensions) text += `<b>Traveler Max Size:</b> ${escapeHtml(formatDimensions(t.maxDimensions))}\n`;
+        text += `<b>Traveler lands at:</b> ${escapeHtml(landingAirportText(t))}\n\n`;
         if (travelerDoc.data?.notes) {
             text += `<b>Traveler Notes:</b> ${escapeHtml(travelerDoc.data.notes)}\n\n`;
         }
+        text += formatMatchReasons(report);
+        text += formatCustomsWarnings(senderDoc.data);
         text += `✅ <b>Verified</b> by admin using ID, phone, passport & itinerary.\n`;
         text += `🔒 Name / phone / email / passport details are hidden until you both confirm.\n`;
 
@@ -1348,24 +2118,35 @@ async function sendMatchCardToTraveler(travelerDoc, senderDoc) {
     try {
         const s = buildSenderSnapshot(senderDoc);
         const t = buildTravelerSnapshot(travelerDoc);
-        if (!isSenderTravelerCompatible(s, t)) {
-            console.log(`[MATCH_DEBUG] Sender ${senderDoc.requestId} and Traveler ${travelerDoc.requestId} are NOT compatible for card.`);
+        const report = evaluateCompatibility(s, t);
+        if (!report.compatible) {
+            console.log(`[MATCH_DEBUG] Sender ${senderDoc.requestId} and Traveler ${travelerDoc.requestId} are NOT compatible for card: ${report.reasons.join('; ')}`);
             return;
         }
 
         let text = `<b>🔍 Possible Sender Match</b>\n\n`;
         text += `<b>Your Request ID:</b> <code>${escapeHtml(t.requestId)}</code>\n`;
         text += `<b>Your Route:</b> ${escapeHtml(t.departure)} → ${escapeHtml(t.destination)}\n`;
-        text += `<b>Your Capacity:</b> ${escapeHtml(String(t.availableWeight))} kg\n`;
+        text += `<b>Your Capacity:</b> ${escapeHtml(String(t.remainingWeight))} kg free of ${escapeHtml(String(t.availableWeight))} kg\n`;
+        if (t.maxDimensions) text += `<b>Your Max Size:</b> ${escapeHtml(formatDimensions(t.maxDimensions))}\n`;
         text += `<b>Your Departure:</b> ${escapeHtml(t.departureTime)}\n\n`;
 
         text += `<b>Sender Request ID:</b> <code>${escapeHtml(s.requestId)}</code>\n`;
         text += `<b>Sender Route:</b> ${escapeHtml(s.pickup)} → ${escapeHtml(s.destination)}\n`;
+        if (s.destinationMatchMode === 'city' && metroByCode.get(s.destinationMetro)) {
+            text += `<b>Sender accepts:</b> ${escapeHtml(formatMetro(metroByCode.get(s.destinationMetro)))}\n`;
+        }
         text += `<b>Package:</b> ${escapeHtml(String(s.weight))} kg, ${escapeHtml(senderDoc.data?.category || 'N/A')}\n`;
-        text += `<b>Send Date:</b> ${escapeHtml(s.sendDate)}\n\n`;
+        text += `<b>Size:</b> ${escapeHtml(formatDimensions(s.dimensions))}\n`;
+        text += `<b>Items:</b> ${escapeHtml(formatManifest(senderDoc.data, true))}\n`;
+        text += `<b>Declared Value:</b> ${escapeHtml(formatDeclaredValue(senderDoc.data))}\n`;
+        text += `<b>Send Window:</b> ${escapeHtml(formatSendWindow(s))}\n`;
+        text += `<b>Deliver By:</b> ${escapeHtml(s.arrivalDate || 'N/A')}\n\n`;
         if (senderDoc.data?.notes) {
             text += `<b>Sender Notes:</b> ${escapeHtml(senderDoc.data.notes)}\n\n`;
         }
+        text += formatMatchReasons(report);
+        text += formatCustomsWarnings(senderDoc.data);
         text += `✅ <b>Verified</b> by admin using ID, phone & documents.\n`;
         text += `🔒 Name / phone / email / passport details are hidden until you both confirm.\n`;
 
@@ -1420,62 +2201,1723 @@ async function sendMatchCardToTraveler(travelerDoc, senderDoc) {
     }
 }
 
-// ------------------- Trigger matching after approval -------------------
-async function triggerMatchingForRequest(role, requestId) {
-    try {
-        if (role === 'sender') {
-            const senderDoc = await sendersCol.findOne({ requestId });
-            if (!senderDoc) return;
-            if (senderDoc.matchLocked || senderDoc.pendingMatchWith) return;
-
-            const s = buildSenderSnapshot(senderDoc);
-            if (!s || s.status !== 'Approved') return;
-
-            const candidateTravelers = await travelersCol
-                .find({
-                    status: 'Approved',
-                    matchLocked: { $ne: true },
-                    $or: [{ pendingMatchWith: null }, { pendingMatchWith: { $exists: false } }]
-                })
-                .toArray();
-
-            for (const trv of candidateTravelers) {
-                const t = buildTravelerSnapshot(trv);
-                if (isSenderTravelerCompatible(s, t)) {
-                    await sendMatchCardToSender(senderDoc, trv);
-                    await sendMatchCardToTraveler(trv, senderDoc);
-                }
-            }
-        } else {
-            const travelerDoc = await travelersCol.findOne({ requestId });
-            if (!travelerDoc) return;
-            if (travelerDoc.matchLocked || travelerDoc.pendingMatchWith) return;
-
-            const t = buildTravelerSnapshot(travelerDoc);
-            if (!t || t.status !== 'Approved') return;
-
-            const candidateSenders = await sendersCol
-                .find({
-                    status: 'Approved',
-                    matchLocked: { $ne: true },
-                    $or: [{ pendingMatchWith: null }, { pendingMatchWith: { $exists: false } }]
-                })
-                .toArray();
-
-            for (const snd of candidateSenders) {
-                const s = buildSenderSnapshot(snd);
-                if (isSenderTravelerCompatible(s, t)) {
-                    await sendMatchCardToTraveler(travelerDoc, snd);
-                    await sendMatchCardToSender(snd, travelerDoc);
-                }
-            }
-        }
-    } catch (err) {
-        console.error('triggerMatchingForRequest error', err);
-    }
+// ------------------- Match ranking -------------------
+function userKeyOf(doc) {
+    return String(doc?.telegramId || doc?.userId || '');
 }
 
-// ------------------- Match callbacks -------------------
+// Completed deliveries and average card response time for the owners of the candidate requests
+async function loadCandidateStats(candidateRole, docs) {
+    const stats = new Map();
+    docs.forEach(d => stats.set(userKeyOf(d), { completed: 0, avgResponseMs: null }));
+
+    const col = candidateRole === 'sender' ? sendersCol : travelersCol;
+    const telegramIds = docs.map(d => d.telegramId).filter(Boolean);
+    const userIds = docs.map(d => d.userId).filter(Boolean);
+    const completed = await col
+        .find(
+            { deliveryCompleted: true, $or: [{ telegramId: { $in: telegramIds } }, { userId: { $in: userIds } }] },
+            { projection: { telegramId: 1, userId: 1 } }
+        )
+        .toArray();
+    completed.forEach(d => {
+        const entry = stats.get(userKeyOf(d));
+        if (entry) entry.completed++;
+    });
+
+    const responses = await matchCardsCol.aggregate([
+        { $match: { recipientUserKey: { $in: [...stats.keys()] }, respondedAt: { $ne: null } } },
+        { $group: { _id: '$recipientUserKey', avgResponseMs: { $avg: { $subtract: ['$respondedAt', '$sentAt'] } } } }
+    ]).toArray();
+    responses.forEach(r => {
+        const entry = stats.get(r._id);
+        if (entry) entry.avgResponseMs = r.avgResponseMs;
+    });
+
+    return stats;
+}
+
+// 0–100: date proximity 40, spare capacity 20, completed deliveries 25, response time 15
+function scoreMatchCandidate(senderSnap, travelerSnap, candidateStats) {
+    const from = moment(senderSnap.sendDate, 'DD-MM-YYYY', true);
+    const to = moment(senderSnap.sendDateTo || senderSnap.sendDate, 'DD-MM-YYYY', true);
+    const departure = moment(travelerSnap.departureTime, 'DD-MM-YYYY HH:mm', true).startOf('day');
+    let daysOutside = 0;
+    if (departure.isBefore(from)) daysOutside = from.diff(departure, 'days');
+    else if (departure.isAfter(to)) daysOutside = departure.diff(to, 'days');
+    const dateScore = Math.max(0, 1 - daysOutside / (matchSettings.dateToleranceDays + 1));
+
+    const capacity = Number(travelerSnap.availableWeight) || 0;
+    const spare = Number(travelerSnap.remainingWeight) - Number(senderSnap.weight);
+    const capacityScore = capacity > 0 ? Math.max(0, spare) / capacity : 0;
+
+    const deliveriesScore = Math.min(candidateStats?.completed || 0, 5) / 5;
+
+    const avgHours = candidateStats?.avgResponseMs != null ? candidateStats.avgResponseMs / 3600000 : null;
+    const responseScore = avgHours == null ? 0.5 : 1 / (1 + avgHours / 6);
+
+    return Math.round(dateScore * 40 + capacityScore * 20 + deliveriesScore * 25 + responseScore * 15);
+}
+
+async function recordMatchCards(senderDoc, travelerDoc, score, source = 'auto') {
+    const sentAt = new Date();
+    const base = { senderRequestId: senderDoc.requestId, travelerRequestId: travelerDoc.requestId, score, source, sentAt, respondedAt: null, response: null };
+    await matchCardsCol.insertMany([
+        { ...base, recipientRole: 'sender', recipientRequestId: senderDoc.requestId, otherRequestId: travelerDoc.requestId, recipientUserKey: userKeyOf(senderDoc) },
+        { ...base, recipientRole: 'traveler', recipientRequestId: travelerDoc.requestId, otherRequestId: senderDoc.requestId, recipientUserKey: userKeyOf(travelerDoc) }
+    ]);
+}
+
+// The sweep, approvals, expiry and cancellations can all run matching at once. A pair being carded
+// is held here, and a pair that already has an open card is passed over, so no pair is carded twice.
+const matchCardPairsInFlight = new Set();
+
+async function claimMatchCardPair(senderReqId, travelerReqId) {
+    const key = `${senderReqId}|${travelerReqId}`;
+    if (matchCardPairsInFlight.has(key)) return null;
+    matchCardPairsInFlight.add(key);
+    const open = await matchCardsCol.findOne({ senderRequestId: senderReqId, travelerRequestId: travelerReqId, response: null });
+    if (open) {
+        matchCardPairsInFlight.delete(key);
+        return null;
+    }
+    return key;
+}
+
+// requestId → number of unanswered cards it currently holds, in one query
+async function countOpenMatchCards(requestIds) {
+    if (!requestIds.length) return new Map();
+    const rows = await matchCardsCol.aggregate([
+        { $match: { recipientRequestId: { $in: requestIds }, response: null } },
+        { $group: { _id: '$recipientRequestId', n: { $sum: 1 } } }
+    ]).toArray();
+    return new Map(rows.map(r => [r._id, r.n]));
+}
+
+async function recordMatchCardResponse(myReqId, otherReqId, response) {
+    await matchCardsCol.updateOne(
+        { recipientRequestId: myReqId, otherRequestId: otherReqId, response: null },
+        { $set: { response, respondedAt: new Date() } }
+    );
+}
+
+// ------------------- Match decisions -------------------
+const SKIP_REASONS = {
+    date: '📅 Dates don’t suit me',
+    route: '🛬 Route / airport',
+    weight: '⚖️ Weight / capacity',
+    other: '🤷 Other'
+};
+
+// 'expired' is recorded against the side that let a confirmation time out; it blocks the pair like a skip but cannot be undone
+async function recordSkipDecision(myRole, myReqId, otherReqId, decision = 'skip') {
+    const isSender = myRole === 'sender';
+    await matchDecisionsCol.updateOne(
+        { decidedByRequestId: myReqId, otherRequestId: otherReqId, decision, undoneAt: null },
+        {
+            $setOnInsert: {
+                senderRequestId: isSender ? myReqId : otherReqId,
+                travelerRequestId: isSender ? otherReqId : myReqId,
+                decidedByRole: myRole,
+                decidedByRequestId: myReqId,
+                otherRequestId: otherReqId,
+                decision,
+                reason: null,
+                createdAt: new Date(),
+                undoneAt: null
+            }
+        },
+        { upsert: true }
+    );
+}
+
+// Request IDs that must not be paired with this request again (skipped by either side, or timed out)
+async function getSkippedCounterparts(role, requestId) {
+    const field = role === 'sender' ? 'senderRequestId' : 'travelerRequestId';
+    const otherField = role === 'sender' ? 'travelerRequestId' : 'senderRequestId';
+    return matchDecisionsCol.distinct(otherField, { [field]: requestId, decision: { $in: ['skip', 'expired'] }, undoneAt: null });
+}
+
+function skipReasonKeyboard(side, myReqId, otherReqId) {
+    return {
+        inline_keyboard: Object.entries(SKIP_REASONS).map(([code, label]) => (
+            [{ text: label, callback_data: `m_${side}_why_${myReqId}_${otherReqId}_${code}` }]
+        ))
+    };
+}
+
+// Lets a pair be suggested again; returns false when there was no active skip to undo
+async function undoSkipDecision(myRole, myReqId, otherReqId) {
+    const res = await matchDecisionsCol.updateOne(
+        { decidedByRequestId: myReqId, otherRequestId: otherReqId, decision: 'skip', undoneAt: null },
+        { $set: { undoneAt: new Date() } }
+    );
+    if (!res.modifiedCount) return false;
+    await triggerMatchingForRequest(myRole, myReqId);
+    return true;
+}
+
+async function getActiveSkipsForRequests(requestIds) {
+    if (!requestIds.length) return [];
+    return matchDecisionsCol
+        .find({ decidedByRequestId: { $in: requestIds }, decision: 'skip', undoneAt: null })
+        .sort({ createdAt: -1 })
+        .toArray();
+}
+
+// Approved, free counterparts compatible with mySnap, best score first
+async function findRankedCandidates(role, mySnap, excludeIds = []) {
+    const isSender = role === 'sender';
+    const otherCol = isSender ? travelersCol : sendersCol;
+    const candidates = await otherCol
+        .find({
+            requestId: { $nin: excludeIds },
+            status: 'Approved',
+            ...(isSender ? { deliveryCompleted: { $ne: true } } : { matchLocked: { $ne: true } }),
+            $or: [{ pendingMatchWith: null }, { pendingMatchWith: { $exists: false } }]
+        })
+        .toArray();
+
+    const compatible = candidates.filter((doc) => isSender
+        ? isSenderTravelerCompatible(mySnap, buildTravelerSnapshot(doc))
+        : isSenderTravelerCompatible(buildSenderSnapshot(doc), mySnap));
+    if (compatible.length === 0) return [];
+
+    const stats = await loadCandidateStats(isSender ? 'traveler' : 'sender', compatible);
+    return compatible
+        .map((doc) => {
+            const s = isSender ? mySnap : buildSenderSnapshot(doc);
+            const t = isSender ? buildTravelerSnapshot(doc) : mySnap;
+            return { doc, score: scoreMatchCandidate(s, t, stats.get(userKeyOf(doc))) };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+// ------------------- Trigger matching after approval -------------------
+// Sends the best-ranked compatible candidates, keeping at most MATCH_TOP_N unanswered cards per request
+// on both sides: every card also reaches the counterpart, so candidates already holding N are passed over.
+// Skipped pairs (matchDecisions) are never suggested again unless the skip is undone. Returns cards sent.
+async function triggerMatchingForRequest(role, requestId) {
+    try {
+        const isSender = role === 'sender';
+        const myCol = isSender ? sendersCol : travelersCol;
+        const otherCol = isSender ? travelersCol : sendersCol;
+
+        const myDoc = await myCol.findOne({ requestId });
+        if (!myDoc) return 0;
+        if (myDoc.pendingMatchWith || (isSender && myDoc.matchLocked)) return 0;
+
+        const mySnap = isSender ? buildSenderSnapshot(myDoc) : buildTravelerSnapshot(myDoc);
+        if (!mySnap || mySnap.status !== 'Approved') return 0;
+        if (!isSender && !mySnap.acceptingMatches) return 0;
+
+        const compatibleWith = (otherDoc) => isSender
+            ? isSenderTravelerCompatible(mySnap, buildTravelerSnapshot(otherDoc))
+            : isSenderTravelerCompatible(buildSenderSnapshot(otherDoc), mySnap);
+
+        const skipped = await getSkippedCounterparts(role, requestId);
+
+        // Cards whose counterpart got matched elsewhere (or skipped us) no longer count against the limit
+        const openCards = await matchCardsCol.find({ recipientRequestId: requestId, response: null }).toArray();
+        const cardedDocs = await otherCol.find({ requestId: { $in: openCards.map(c => c.otherRequestId) } }).toArray();
+        const cardedById = new Map(cardedDocs.map(d => [d.requestId, d]));
+        let outstanding = 0;
+        for (const card of openCards) {
+            const otherDoc = cardedById.get(card.otherRequestId);
+            const otherBusy = otherDoc?.pendingMatchWith && otherDoc.pendingMatchWith !== requestId;
+            if (otherDoc?.status === 'Approved' && !otherBusy && !skipped.includes(card.otherRequestId) && compatibleWith(otherDoc)) {
+                outstanding++;
+            } else {
+                await matchCardsCol.updateOne({ _id: card._id }, { $set: { response: 'closed', closedAt: new Date() } });
+            }
+        }
+        const slots = MATCH_TOP_N - outstanding;
+        if (slots <= 0) return 0;
+
+        const alreadyCarded = await matchCardsCol.distinct('otherRequestId', { recipientRequestId: requestId, response: null });
+        const candidates = await findRankedCandidates(role, mySnap, [...alreadyCarded, ...skipped]);
+        const counterpartLoad = await countOpenMatchCards(candidates.map(c => c.doc.requestId));
+        const ranked = candidates.filter(c => (counterpartLoad.get(c.doc.requestId) || 0) < MATCH_TOP_N).slice(0, slots);
+
+        let sent = 0;
+        for (const { doc, score } of ranked) {
+            const senderDoc = isSender ? myDoc : doc;
+            const travelerDoc = isSender ? doc : myDoc;
+            const pairKey = await claimMatchCardPair(senderDoc.requestId, travelerDoc.requestId);
+            if (!pairKey) continue;
+            try {
+                console.log(`[MATCH_DEBUG] Card ${senderDoc.requestId} ↔ ${travelerDoc.requestId} (score ${score})`);
+                await recordMatchCards(senderDoc, travelerDoc, score);
+                if (isSender) {
+                    await sendMatchCardToSender(senderDoc, travelerDoc);
+                    await sendMatchCardToTraveler(travelerDoc, senderDoc);
+                } else {
+                    await sendMatchCardToTraveler(travelerDoc, senderDoc);
+                    await sendMatchCardToSender(senderDoc, travelerDoc);
+                }
+                sent++;
+            } finally {
+                matchCardPairsInFlight.delete(pairKey);
+            }
+        }
+        return sent;
+    } catch (err) {
+        console.error('triggerMatchingForRequest error', err);
+        return 0;
+    }
+}
+
+// ------------------- Browse & request -------------------
+// Lets users pick a counterpart themselves instead of waiting for cards. A request sent from the
+// results uses the normal m_s_conf_ / m_t_conf_ handshake; the card is recorded with source 'search'.
+const SEARCH_RESULT_LIMIT = 10;
+
+// Callbacks and web posts carry the caller's Telegram id or web user id; web clients can post any
+// callback string, so handlers acting for a request check the caller owns it
+function isRequestOwner(doc, fromId) {
+    return !!doc && (String(doc.telegramId) === String(fromId) || String(doc.userId) === String(fromId));
+}
+
+function ownerQueryFor(chatId) {
+    if (String(chatId).startsWith("web_")) return { userId: new ObjectId(String(chatId).replace("web_", "")) };
+    return { telegramId: chatId };
+}
+
+// The user's approved requests that can still take a new match, newest first
+async function getSearchableRequests(chatId) {
+    const owner = ownerQueryFor(chatId);
+    const free = { status: 'Approved', $or: [{ pendingMatchWith: null }, { pendingMatchWith: { $exists: false } }] };
+    const senders = await sendersCol.find({ ...owner, ...free, matchLocked: { $ne: true } }).sort({ createdAt: -1 }).toArray();
+    const travelers = (await travelersCol.find({ ...owner, ...free }).sort({ createdAt: -1 }).toArray())
+        .filter(t => buildTravelerSnapshot(t).acceptingMatches);
+    return [
+        ...senders.map(doc => ({ role: 'sender', doc })),
+        ...travelers.map(doc => ({ role: 'traveler', doc }))
+    ];
+}
+
+async function searchCounterparts(role, myDoc) {
+    const mySnap = role === 'sender' ? buildSenderSnapshot(myDoc) : buildTravelerSnapshot(myDoc);
+    const skipped = await getSkippedCounterparts(role, myDoc.requestId);
+    return (await findRankedCandidates(role, mySnap, skipped)).slice(0, SEARCH_RESULT_LIMIT);
+}
+
+// Route / date / weight only, like the match cards before confirmation
+function describeSearchResult(role, doc, score) {
+    if (role === 'sender') {
+        const t = buildTravelerSnapshot(doc);
+        return {
+            requestId: t.requestId,
+            route: `${t.departureCode || t.departure} → ${t.destinationCode || t.destination}`,
+            dates: `🛫 ${t.departureTime}${t.arrivalTime ? ` · 🛬 ${t.arrivalTime}` : ''}`,
+            weight: `${t.remainingWeight} kg free`,
+            score
+        };
+    }
+    const s = buildSenderSnapshot(doc);
+    return {
+        requestId: s.requestId,
+        route: `${s.pickupCode || s.pickup} → ${s.destinationCode || s.destination}`,
+        dates: `Send ${formatSendWindow(s)}${s.arrivalDate ? ` · deliver by ${s.arrivalDate}` : ''}`,
+        weight: `${s.weight} kg`,
+        score
+    };
+}
+
+function searchRequestCallback(role, myReqId, otherReqId) {
+    return `m_${role === 'sender' ? 's' : 't'}_conf_${myReqId}_${otherReqId}`;
+}
+
+async function showSearchResults(chatId, requestId = null) {
+    const searchable = await getSearchableRequests(chatId);
+    if (!searchable.length) {
+        return bot.sendMessage(
+            chatId,
+            '🔍 You need an approved request that is not yet matched to search for a counterpart.',
+            { parse_mode: 'HTML' }
+        );
+    }
+
+    const current = requestId ? searchable.find(r => r.doc.requestId === requestId) : searchable[0];
+    if (!current) {
+        return bot.sendMessage(
+            chatId,
+            `❌ Request <code>${escapeHtml(requestId)}</code> was not found among your approved, unmatched requests.`,
+            { parse_mode: 'HTML' }
+        );
+    }
+    const results = await searchCounterparts(current.role, current.doc);
+    const otherLabel = current.role === 'sender' ? 'travelers' : 'senders';
+
+    let text = `🔍 <b>Compatible ${otherLabel} for</b> <code>${escapeHtml(current.doc.requestId)}</code>\n\n`;
+    if (!results.length) {
+        text += `<i>No compatible ${otherLabel} right now. We'll still send you match cards as new requests are approved.</i>`;
+    }
+    results.forEach(({ doc, score }, i) => {
+        const r = describeSearchResult(current.role, doc, score);
+        text += `${i + 1}. <code>${escapeHtml(r.requestId)}</code> ${escapeHtml(r.route)}\n` +
+            `   ${escapeHtml(r.dates)} · ${escapeHtml(r.weight)} · score ${r.score}\n`;
+    });
+    if (results.length) text += `\n<i>Sending a request asks them to confirm; details stay hidden until you both do.</i>`;
+
+    const rows = results.map(({ doc }) => [{
+        text: `🤝 Request ${doc.requestId}`,
+        callback_data: searchRequestCallback(current.role, current.doc.requestId, doc.requestId)
+    }]);
+    searchable
+        .filter(r => r.doc.requestId !== current.doc.requestId)
+        .slice(0, 3)
+        .forEach(r => rows.push([{ text: `🔁 Search for ${r.doc.requestId}`, callback_data: `srch_${r.doc.requestId}` }]));
+
+    return bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+
+// A confirm without an open card came from search results: check the pair and record the card first
+async function prepareSearchMatchRequest(myRole, myReqId, otherReqId, fromUserId) {
+    const isSender = myRole === 'sender';
+    const myDoc = await (isSender ? sendersCol : travelersCol).findOne({ requestId: myReqId });
+    const otherDoc = await (isSender ? travelersCol : sendersCol).findOne({ requestId: otherReqId });
+    const isOwner = isRequestOwner(myDoc, fromUserId);
+    if (!isOwner || !otherDoc || myDoc.status !== 'Approved' || otherDoc.status !== 'Approved') return false;
+    if ((await getSkippedCounterparts(myRole, myReqId)).includes(otherReqId)) return false;
+
+    const senderDoc = isSender ? myDoc : otherDoc;
+    const travelerDoc = isSender ? otherDoc : myDoc;
+    const s = buildSenderSnapshot(senderDoc);
+    const t = buildTravelerSnapshot(travelerDoc);
+    if (!isSenderTravelerCompatible(s, t)) return false;
+
+    // A matching run may have carded the pair in the meantime; its card serves the request as well
+    const pairKey = await claimMatchCardPair(senderDoc.requestId, travelerDoc.requestId);
+    if (!pairKey) return true;
+    try {
+        const stats = await loadCandidateStats(isSender ? 'traveler' : 'sender', [otherDoc]);
+        await recordMatchCards(senderDoc, travelerDoc, scoreMatchCandidate(s, t, stats.get(userKeyOf(otherDoc))), 'search');
+    } finally {
+        matchCardPairsInFlight.delete(pairKey);
+    }
+    return true;
+}
+
+// ------------------- Background re-matching -------------------
+// Re-runs matching for every approved, unlocked request so late approvals on the other side still
+// produce cards. triggerMatchingForRequest already skips pairs with open cards or skip decisions.
+let matchSweepRunning = false;
+async function runMatchSweep(trigger = 'scheduled') {
+    if (matchSweepRunning) return null;
+    matchSweepRunning = true;
+
+    const run = { trigger, startedAt: new Date(), sendersChecked: 0, travelersChecked: 0, cardsSent: 0, errors: 0 };
+    try {
+        const notPending = { $or: [{ pendingMatchWith: null }, { pendingMatchWith: { $exists: false } }] };
+        const senders = await sendersCol
+            .find({ status: 'Approved', matchLocked: { $ne: true }, ...notPending }, { projection: { requestId: 1 } })
+            .toArray();
+        for (const snd of senders) {
+            run.sendersChecked++;
+            run.cardsSent += await triggerMatchingForRequest('sender', snd.requestId);
+        }
+
+        const travelers = await travelersCol
+            .find({ status: 'Approved', deliveryCompleted: { $ne: true }, ...notPending }, { projection: { requestId: 1 } })
+            .toArray();
+        for (const trv of travelers) {
+            run.travelersChecked++;
+            run.cardsSent += await triggerMatchingForRequest('traveler', trv.requestId);
+        }
+    } catch (err) {
+        run.errors++;
+        console.error('runMatchSweep error', err);
+    } finally {
+        run.finishedAt = new Date();
+        matchSweepRunning = false;
+        await matchRunsCol.insertOne(run).catch(e => console.error('matchRuns insert failed:', e.message));
+    }
+
+    if (run.cardsSent > 0) console.log(`[MATCH_DEBUG] Sweep (${trigger}) sent ${run.cardsSent} card(s).`);
+    return run;
+}
+
+// ------------------- Pending confirmation expiry -------------------
+// A one-sided confirmation blocks the request from other matches, so it lapses after pendingTimeoutHours
+async function expirePendingConfirmations() {
+    try {
+        const now = new Date();
+        const cutoff = new Date(now.getTime() - matchSettings.pendingTimeoutHours * 60 * 60 * 1000);
+
+        for (const [role, col, otherCol] of [['sender', sendersCol, travelersCol], ['traveler', travelersCol, sendersCol]]) {
+            // Confirmations made before expiry existed get a full timeout from now
+            await col.updateMany(
+                { pendingMatchWith: { $nin: [null, ''] }, pendingMatchAt: { $exists: false } },
+                { $set: { pendingMatchAt: now } }
+            );
+
+            const expired = await col.find({ pendingMatchWith: { $nin: [null, ''] }, pendingMatchAt: { $lte: cutoff } }).toArray();
+            for (const doc of expired) {
+                const otherReqId = doc.pendingMatchWith;
+                const res = await col.updateOne(
+                    { requestId: doc.requestId, pendingMatchWith: otherReqId },
+                    { $unset: { pendingMatchWith: '', pendingMatchAt: '' } }
+                );
+                if (!res.modifiedCount) continue;
+
+                // The unanswered card on the other side is no longer actionable
+                await matchCardsCol.updateMany(
+                    { recipientRequestId: otherReqId, otherRequestId: doc.requestId, response: null },
+                    { $set: { response: 'expired', closedAt: now } }
+                );
+                // Keep the pair out of the re-matching below and of every later run
+                await recordSkipDecision(role === 'sender' ? 'traveler' : 'sender', otherReqId, doc.requestId, 'expired');
+
+                const otherDoc = await otherCol.findOne({ requestId: otherReqId });
+                await notifyPartner(
+                    doc.telegramId || `web_${doc.userId}`,
+                    `⌛ <b>Match confirmation expired.</b>\n\n<code>${escapeHtml(otherReqId)}</code> did not respond within ${matchSettings.pendingTimeoutHours} hour(s). Your request <code>${escapeHtml(doc.requestId)}</code> is back in matching.`
+                );
+                if (otherDoc) {
+                    await notifyPartner(
+                        otherDoc.telegramId || `web_${otherDoc.userId}`,
+                        `⌛ <b>Match suggestion expired.</b>\n\nThe match between your request <code>${escapeHtml(otherReqId)}</code> and <code>${escapeHtml(doc.requestId)}</code> was not confirmed in time.`
+                    );
+                }
+
+                console.log(`[MATCH_DEBUG] Pending confirmation ${doc.requestId} → ${otherReqId} expired.`);
+                await triggerMatchingForRequest(role, doc.requestId);
+                if (otherDoc) await triggerMatchingForRequest(role === 'sender' ? 'traveler' : 'sender', otherReqId);
+            }
+        }
+    } catch (err) {
+        console.error('expirePendingConfirmations error', err);
+    }
+}
+
+// ------------------- Request expiry -------------------
+// Unmatched requests whose hand-over window or departure has passed can never match again
+function isRequestPastDate(role, doc) {
+    const data = doc?.data || {};
+    if (role === 'sender') {
+        const lastSendDate = moment(data.sendDateTo || data.sendDate, 'DD-MM-YYYY', true);
+        return lastSendDate.isValid() && lastSendDate.isBefore(todayStart());
+    }
+    const departure = moment(data.departureTime, 'DD-MM-YYYY HH:mm', true);
+    return departure.isValid() && departure.isBefore(moment());
+}
+
+function repostKeyboard(role, requestId) {
+    return { inline_keyboard: [[{ text: '🔁 Re-post with new dates', callback_data: `${role}_repost_${requestId}` }]] };
+}
+
+async function expireStaleRequests() {
+    try {
+        for (const [role, col] of [['sender', sendersCol], ['traveler', travelersCol]]) {
+            const open = await col.find({ status: 'Approved', matchLocked: { $ne: true } }).toArray();
+            for (const doc of open.filter(d => isRequestPastDate(role, d))) {
+                const res = await col.updateOne(
+                    { requestId: doc.requestId, status: 'Approved', matchLocked: { $ne: true } },
+                    { $set: { status: 'Expired', expiredAt: new Date() }, $unset: { pendingMatchWith: '', pendingMatchAt: '' } }
+                );
+                if (!res.modifiedCount) continue;
+                await recordTrackingEvent(doc.requestId, 'expired');
+
+                await matchCardsCol.updateMany(
+                    { $or: [{ recipientRequestId: doc.requestId }, { otherRequestId: doc.requestId }], response: null },
+                    { $set: { response: 'expired', closedAt: new Date() } }
+                );
+
+                const when = role === 'sender' ? 'send dates have' : 'departure date has';
+                await notifyPartner(
+                    doc.telegramId || `web_${doc.userId}`,
+                    `⌛ <b>Request expired</b>\n\nYour ${role} request <code>${escapeHtml(doc.requestId)}</code> expired because its ${when} passed without a match.\n\nYou can re-post it with new dates.`,
+                    repostKeyboard(role, doc.requestId)
+                );
+                console.log(`[MATCH_DEBUG] ${role} ${doc.requestId} expired.`);
+            }
+        }
+
+        // Alerts whose date range has passed can no longer fire
+        await routeAlertsCol.updateMany(
+            { active: true, dateToAt: { $lt: new Date() } },
+            { $set: { active: false, expiredAt: new Date() } }
+        );
+    } catch (err) {
+        console.error('expireStaleRequests error', err);
+    }
+}
+
+// ------------------- Repeat trips -------------------
+// Re-posting an expired request and repeating any earlier one share the same flow: previous
+// details are kept and only the dates (plus the itinerary for travelers) are asked again.
+// ID photos an admin approved within IDENTITY_REUSE_DAYS are reused instead of re-uploaded.
+const REPEATABLE_STATUSES = ['Approved', 'Completed', 'Expired', 'Cancelled'];
+
+// Older docs have no approvedAt; their approval is only recorded in adminNote. updatedAt moves with
+// every later write (expiry, cancellation, edits), so their age is taken from createdAt instead.
+function identityVerifiedAt(doc) {
+    if (doc?.approvedAt) return new Date(doc.approvedAt);
+    return /^Approved by admin/.test(doc?.adminNote || '') && doc.createdAt ? new Date(doc.createdAt) : null;
+}
+
+function canReuseIdentity(role, doc) {
+    const data = doc?.data || {};
+    const hasDocuments = role === 'sender' ? !!data.selfieId : !!(data.passportSelfie && data.passportNumber);
+    const verifiedAt = identityVerifiedAt(doc);
+    return hasDocuments && !!verifiedAt && moment().diff(moment(verifiedAt), 'days') <= IDENTITY_REUSE_DAYS;
+}
+
+async function showRepeatMenu(chatId) {
+    const owner = ownerQueryFor(chatId);
+    const previous = { status: { $in: REPEATABLE_STATUSES } };
+    const requests = [
+        ...(await sendersCol.find({ ...owner, ...previous }).sort({ createdAt: -1 }).limit(5).toArray()).map(doc => ['sender', doc]),
+        ...(await travelersCol.find({ ...owner, ...previous }).sort({ createdAt: -1 }).limit(5).toArray()).map(doc => ['traveler', doc])
+    ];
+    if (!requests.length) {
+        return bot.sendMessage(chatId, '🔁 You have no previous trips or shipments to repeat yet.', { parse_mode: 'HTML', ...backToMenuKeyboard });
+    }
+
+    let text = `🔁 <b>Repeat a previous trip</b>\n\nWe keep your details and only ask for the new dates.\n\n`;
+    const rows = requests.map(([role, doc]) => {
+        const route = role === 'sender'
+            ? `${doc.data?.pickupCode || doc.data?.pickup || '?'} → ${doc.data?.destinationCode || doc.data?.destination || '?'}`
+            : `${doc.data?.departureCode || doc.data?.departure || '?'} → ${doc.data?.destinationCode || doc.data?.destination || '?'}`;
+        text += `${role === 'sender' ? '📦' : '🧳'} <code>${escapeHtml(doc.requestId)}</code> ${escapeHtml(route)}` +
+            `${canReuseIdentity(role, doc) ? ' · 🪪 ID on file' : ''}\n`;
+        return [{ text: `🔁 ${route} (${doc.requestId})`, callback_data: `${role}_repeat_${doc.requestId}` }];
+    });
+
+    return bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] }
+    });
+}
+
+// Re-opens the flow with a previous request's details; mode is 'repost' (expired) or 'repeat'
+async function startRepostFlow(chatId, role, oldDoc, mode = 'repost') {
+    const data = { ...(oldDoc.data || {}) };
+    const step = role === 'sender' ? 'send_date' : 'departure_time';
+    const reuseIdentity = canReuseIdentity(role, oldDoc);
+    if (role === 'sender') {
+        delete data.sendDate;
+        delete data.sendDateTo;
+        delete data.arrivalDate;
+        if (!reuseIdentity) {
+            delete data.selfieId;
+            delete data.selfieIdUrl;
+        }
+    } else {
+        delete data.departureTime;
+        delete data.arrivalTime;
+        delete data.itineraryPhoto;
+        delete data.itineraryPhotoUrl;
+        delete data.visaPhoto;
+        if (!reuseIdentity) {
+            delete data.passportSelfie;
+            delete data.passportSelfieUrl;
+        }
+    }
+    data.repeatOf = oldDoc.requestId;
+    data.identityReusedFrom = reuseIdentity ? oldDoc.requestId : null;
+
+    userSessions[chatId] = {
+        type: role,
+        step,
+        data,
+        expectingPhoto: null,
+        requestId: null
+    };
+
+    if (String(chatId).startsWith("web_")) {
+        const uid = String(chatId).replace("web_", "");
+        userSessions[chatId].webUserId = uid;
+        await usersCol.updateOne(
+            { _id: new ObjectId(uid) },
+            { $set: { currentService: role, flowStep: step, flowData: data, flowActive: true, flowExpectingPhoto: null, updatedAt: new Date() } }
+        );
+    }
+
+    const prompt = role === 'sender'
+        ? '📅 Enter the earliest date you can hand over the package (DD-MM-YYYY):'
+        : '⏰ Enter Departure Date & Time (DD-MM-YYYY HH:mm):';
+    const intro = mode === 'repeat'
+        ? `🔁 Repeating <code>${escapeHtml(oldDoc.requestId)}</code> with your previous details.`
+        : `🔁 Re-posting <code>${escapeHtml(oldDoc.requestId)}</code> with your previous details.`;
+    const idNote = reuseIdentity
+        ? `\n🪪 Your verified ID from this request will be reused.`
+        : `\n🪪 You'll be asked for a new ID photo.`;
+    return bot.sendMessage(chatId, `${intro}${idNote}\n\n${prompt}`, { parse_mode: 'HTML' });
+}
+
+// Admin summary lines for repeated requests
+function formatRepeatForAdmin(data) {
+    if (!data?.repeatOf) return '';
+    let text = `<b>Repeat of:</b> <code>${escapeHtml(data.repeatOf)}</code>\n`;
+    if (data.identityReusedFrom) text += `<b>ID reused from:</b> <code>${escapeHtml(data.identityReusedFrom)}</code> (verified earlier)\n`;
+    return text;
+}
+
+// ------------------- Request editing -------------------
+// Owners can change single fields of a Pending/Approved request that is not in a match yet.
+// Every edit puts the request back to Pending and sends the diff to the admin group; on approval
+// matching only re-runs when a `matching` field changed (see processApprove).
+const EDITABLE_FIELDS = {
+    sender: {
+        pickup: { label: 'Pickup', prompt: '🛫 Enter the new pickup airport (e.g. "DXB"):', matching: true },
+        destination: { label: 'Destination', prompt: '🛬 Enter the new destination airport (e.g. "LHR"):', matching: true },
+        weight: { label: 'Weight', prompt: '⚖️ Enter the new package weight in kg (max 10):', matching: true },
+        dimensions: { label: 'Size', prompt: '📐 Enter the new package size in cm (e.g. 40x30x20):', matching: true },
+        sendDate: { label: 'Earliest send date', prompt: '📅 Enter the new earliest send date (DD-MM-YYYY):', matching: true },
+        sendDateTo: { label: 'Latest send date', prompt: '📅 Enter the new latest send date (DD-MM-YYYY):', matching: true },
+        arrivalDate: { label: 'Deliver by', prompt: '📅 Enter the new deliver-by date (DD-MM-YYYY):', matching: true },
+        recipientName: { label: 'Recipient name', prompt: "📬 Enter the recipient's full name:", matching: false },
+        recipientPhone: { label: 'Recipient phone', prompt: "📞 Enter the recipient's phone number (e.g. +441234567890):", matching: false },
+        notes: { label: 'Notes', prompt: "📝 Enter the new notes, or 'None' to clear them:", matching: false }
+    },
+    traveler: {
+        departure: { label: 'From', prompt: '🛫 Enter the new departure airport (e.g. "BOM"):', matching: true },
+        destination: { label: 'To', prompt: '🛬 Enter the new destination airport (e.g. "DXB"):', matching: true },
+        departureTime: { label: 'Departure', prompt: '⏰ Enter the new departure date & time (DD-MM-YYYY HH:mm):', matching: true },
+        arrivalTime: { label: 'Arrival', prompt: '⏰ Enter the new arrival date & time (DD-MM-YYYY HH:mm):', matching: true },
+        availableWeight: { label: 'Available weight', prompt: '⚖️ Enter the new available weight in kg (max 10):', matching: true },
+        maxDimensions: { label: 'Max package size', prompt: "📐 Enter the new max package size in cm (e.g. 55x40x20), or 'Any':", matching: true },
+        notes: { label: 'Notes', prompt: "📝 Enter the new notes, or 'None' to clear them:", matching: false }
+    }
+};
+
+function requestEditBlockReason(role, doc) {
+    if (!['Pending', 'Approved'].includes(doc.status)) return `Requests that are ${doc.status} cannot be edited.`;
+    if (doc.matchLocked || doc.pendingMatchWith || doc.deliveryCompleted || (role === 'traveler' && getTravelerMatches(doc).length)) {
+        return 'This request already has a match in progress. Please contact support to change it.';
+    }
+    return null;
+}
+
+function formatEditValue(field, value) {
+    if (field === 'dimensions' || field === 'maxDimensions') return value ? formatDimensions(value) : 'Any';
+    if (field === 'weight' || field === 'availableWeight') return value != null ? `${value} kg` : 'N/A';
+    return value == null || value === '' ? 'None' : String(value);
+}
+
+// Validates the new value against the rest of the request. Returns { set } with the data fields
+// to write (derived codes and dependent dates included) or { error }.
+function parseRequestEdit(role, doc, field, text = '') {
+    const data = doc.data || {};
+    const input = String(text).trim();
+
+    switch (field) {
+        case 'pickup':
+        case 'departure': {
+            if (input.length < 2) return { error: 'Enter the airport clearly, e.g. "DXB".' };
+            return { set: { [field]: input, [`${field}Code`]: resolveAirport(input)?.iata || null } };
+        }
+        case 'destination': {
+            if (input.length < 2) return { error: 'Enter the airport clearly, e.g. "LHR".' };
+            const airport = resolveAirport(input);
+            if (role === 'traveler') return { set: { destination: input, destinationCode: airport?.iata || null } };
+            const metro = airport ? metroForAirport(airport.iata) : resolveMetro(input);
+            // A city-only destination can only match as a city; otherwise keep the sender's earlier choice where it still applies
+            const keepCity = airport && metro && data.destinationMatchMode === 'city';
+            const set = {
+                destination: input,
+                destinationCode: airport?.iata || null,
+                destinationMetro: metro?.code || null,
+                destinationMatchMode: (!airport && metro) || keepCity ? 'city' : 'airport'
+            };
+            // The destination country decides which item rules apply
+            const screened = rescreenSenderItems({ ...data, ...set });
+            if (screened.blocked) return { error: `Not allowed at the new destination: ${screened.blocked.label} (matched "${screened.blocked.match}").` };
+            return { set, screening: screened.screening };
+        }
+        case 'weight':
+        case 'availableWeight': {
+            const w = parseFloat(input);
+            if (isNaN(w) || w <= 0 || w > 10) return { error: 'Enter a weight above 0 and up to 10 kg.' };
+            return { set: { [field]: w } };
+        }
+        case 'dimensions':
+        case 'maxDimensions': {
+            if (field === 'maxDimensions' && input.toLowerCase() === 'any') return { set: { maxDimensions: null } };
+            const dims = parseDimensions(input);
+            if (!dims) return { error: `Enter the size as three numbers in cm, e.g. 40x30x20 (max ${MAX_PACKAGE_SIDE_CM} cm per side).` };
+            return { set: { [field]: dims } };
+        }
+        case 'sendDate':
+        case 'sendDateTo':
+        case 'arrivalDate': {
+            const d = parseDate_ddmmyyyy(input);
+            if (!d) return { error: 'Use the DD-MM-YYYY format, e.g. 20-03-2026.' };
+            if (d < todayStart()) return { error: 'The date cannot be in the past.' };
+            const next = {
+                sendDate: data.sendDate,
+                sendDateTo: data.sendDateTo || data.sendDate,
+                arrivalDate: data.arrivalDate,
+                [field]: moment(d).format('DD-MM-YYYY')
+            };
+            // Moving the earliest date past the window end shrinks the window to that single day
+            if (field === 'sendDate' && moment(next.sendDateTo, 'DD-MM-YYYY').isBefore(d)) next.sendDateTo = next.sendDate;
+            const from = moment(next.sendDate, 'DD-MM-YYYY');
+            const to = moment(next.sendDateTo, 'DD-MM-YYYY');
+            if (to.isBefore(from)) return { error: 'The latest send date cannot be earlier than the earliest send date.' };
+            if (moment(next.arrivalDate, 'DD-MM-YYYY').isBefore(to)) return { error: 'The deliver-by date cannot be earlier than the last send date.' };
+            return { set: next };
+        }
+        case 'departureTime':
+        case 'arrivalTime': {
+            const dt = parseDate_ddmmyyyy_hhmm(input);
+            if (!dt) return { error: 'Use the DD-MM-YYYY HH:mm format, e.g. 20-03-2026 14:30.' };
+            if (dt < new Date()) return { error: 'The time cannot be in the past.' };
+            const next = { departureTime: data.departureTime, arrivalTime: data.arrivalTime, [field]: moment(dt).format('DD-MM-YYYY HH:mm') };
+            if (moment(next.arrivalTime, 'DD-MM-YYYY HH:mm').isBefore(moment(next.departureTime, 'DD-MM-YYYY HH:mm'))) {
+                return { error: 'Arrival cannot be before departure.' };
+            }
+            return { set: next };
+        }
+        case 'recipientName': {
+            if (input.length < 2) return { error: "Enter the recipient's full name (min 2 chars)." };
+            return { set: { recipientName: input } };
+        }
+        case 'recipientPhone': {
+            if (!isValidPhone(input)) return { error: 'Enter the phone number like +441234567890.' };
+            return { set: { recipientPhone: input } };
+        }
+        case 'notes': {
+            if (!input) return { error: "Type your notes or 'None'." };
+            const notes = input.toLowerCase() === 'none' ? '' : input;
+            if (role === 'sender') {
+                const screened = rescreenSenderItems({ ...data, notes });
+                if (screened.blocked) return { error: `Not allowed: ${screened.blocked.label} (matched "${screened.blocked.match}").` };
+                return { set: { notes }, screening: screened.screening };
+            }
+            return { set: { notes } };
+        }
+    }
+    return { error: 'This field cannot be edited.' };
+}
+
+// Shared by the bot flow and POST /api/requests/edit. Returns { doc, changes } or { error }.
+async function applyRequestEdit(role, doc, field, text) {
+    const blocked = requestEditBlockReason(role, doc);
+    if (blocked) return { error: blocked };
+    const fieldDef = EDITABLE_FIELDS[role]?.[field];
+    if (!fieldDef) return { error: 'This field cannot be edited.' };
+
+    const parsed = parseRequestEdit(role, doc, field, text);
+    if (parsed.error) return parsed;
+    const changes = Object.entries(parsed.set)
+        .filter(([key, value]) => JSON.stringify(doc.data?.[key] ?? null) !== JSON.stringify(value ?? null))
+        .map(([key, value]) => ({ field: key, from: doc.data?.[key] ?? null, to: value ?? null }));
+    if (!changes.length) return { error: 'That is the same as the current value.' };
+
+    // A request that was never approved still needs its first matching run
+    const rematch = fieldDef.matching || (doc.status !== 'Approved' && doc.pendingEdit?.rematch !== false);
+    const $set = {
+        status: 'Pending',
+        adminNote: 'Edited by owner, awaiting re-approval',
+        pendingEdit: { fields: changes.map(c => c.field), rematch, at: new Date() },
+        updatedAt: new Date()
+    };
+    changes.forEach(c => { $set[`data.${c.field}`] = c.to; });
+    if (parsed.screening) $set['data.screening'] = parsed.screening;
+    if (field === 'availableWeight') $set.remainingWeight = parsed.set.availableWeight;
+
+    const col = role === 'sender' ? sendersCol : travelersCol;
+    await col.updateOne(
+        { requestId: doc.requestId },
+        { $set, $push: { editHistory: { changes, previousStatus: doc.status, at: new Date() } } }
+    );
+    const updated = await col.findOne({ requestId: doc.requestId });
+
+    // Cards and confirmations were made for the old details; matching re-runs on approval
+    const otherRole = role === 'sender' ? 'traveler' : 'sender';
+    const otherCol = role === 'sender' ? travelersCol : sendersCol;
+    await matchCardsCol.updateMany(
+        { $or: [{ recipientRequestId: doc.requestId }, { otherRequestId: doc.requestId }], response: null },
+        { $set: { response: 'edited', closedAt: new Date() } }
+    );
+    const waiting = await otherCol.find({ pendingMatchWith: doc.requestId }).toArray();
+    await otherCol.updateMany({ pendingMatchWith: doc.requestId }, { $unset: { pendingMatchWith: '', pendingMatchAt: '' } });
+    for (const other of waiting) {
+        await notifyPartner(
+            other.telegramId || `web_${other.userId}`,
+            `ℹ️ <code>${escapeHtml(doc.requestId)}</code> was changed by its owner, so your confirmation for request <code>${escapeHtml(other.requestId)}</code> was withdrawn.`
+        );
+        await triggerMatchingForRequest(otherRole, other.requestId);
+    }
+
+    await recordTrackingEvent(doc.requestId, 'edited', changes.map(c => EDITABLE_FIELDS[role][c.field]?.label || c.field).join(', '));
+
+    const labels = EDITABLE_FIELDS[role];
+    let diff = `✏️ <b>Request Edited - Re-approval Needed</b>\n`;
+    diff += `<b>Request ID:</b> <code>${escapeHtml(doc.requestId)}</code> (${role}, was ${escapeHtml(doc.status)})\n\n`;
+    diff += changes.map(c =>
+        `<b>${escapeHtml(labels[c.field]?.label || c.field)}:</b> ${escapeHtml(formatEditValue(c.field, c.from))} → ${escapeHtml(formatEditValue(c.field, c.to))}`
+    ).join('\n');
+    diff += rematch ? `\n\n<i>Matching will re-run on approval.</i>` : '';
+    await bot.sendMessage(String(ADMIN_GROUP_ID), diff, { parse_mode: 'HTML', ...adminActionKeyboardForDoc(updated) });
+
+    return { doc: updated, changes };
+}
+
+async function showRequestEditMenu(chatId, role, doc) {
+    const rows = [];
+    const fields = Object.entries(EDITABLE_FIELDS[role]);
+    for (let i = 0; i < fields.length; i += 2) {
+        rows.push(fields.slice(i, i + 2).map(([field, def]) => ({
+            text: def.label,
+            callback_data: `${role}_editf_${doc.requestId}_${field}`
+        })));
+    }
+    return bot.sendMessage(
+        chatId,
+        `✏️ <b>Edit</b> <code>${escapeHtml(doc.requestId)}</code>\n\nChoose the field to change. ` +
+        `<i>The request goes back to admin review after the change.</i>`,
+        { parse_mode: 'HTML', reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] } }
+    );
+}
+
+async function startRequestEditFlow(chatId, role, doc, field) {
+    const data = { role, requestId: doc.requestId, field };
+    userSessions[chatId] = { type: 'edit', step: 'edit_value', data, expectingPhoto: null, requestId: null };
+
+    if (String(chatId).startsWith("web_")) {
+        const uid = String(chatId).replace("web_", "");
+        userSessions[chatId].webUserId = uid;
+        await usersCol.updateOne(
+            { _id: new ObjectId(uid) },
+            { $set: { currentService: 'edit', flowStep: 'edit_value', flowData: data, flowActive: true, flowExpectingPhoto: null, updatedAt: new Date() } }
+        );
+    }
+
+    const def = EDITABLE_FIELDS[role][field];
+    return bot.sendMessage(
+        chatId,
+        `<b>${escapeHtml(def.label)}</b> is currently: ${escapeHtml(formatEditValue(field, doc.data?.[field]))}\n\n${def.prompt}`,
+        { parse_mode: 'HTML' }
+    );
+}
+
+async function handleEditTextStep(chatId, text) {
+    const sess = userSessions[chatId];
+    if (!sess || sess.step !== 'edit_value') return;
+    const { role, requestId, field } = sess.data;
+
+    const col = role === 'sender' ? sendersCol : travelersCol;
+    const doc = await col.findOne({ requestId, ...ownerQueryFor(chatId) });
+    const result = doc ? await applyRequestEdit(role, doc, field, text) : { error: 'Request not found.' };
+    if (result.error && doc && !requestEditBlockReason(role, doc)) {
+        return bot.sendMessage(chatId, `❌ ${escapeHtml(result.error)}\n\n${EDITABLE_FIELDS[role][field].prompt}`, { parse_mode: 'HTML' });
+    }
+
+    delete userSessions[chatId];
+    if (String(chatId).startsWith("web_")) {
+        await usersCol.updateOne(
+            { _id: new ObjectId(String(chatId).replace("web_", "")) },
+            { $set: { flowActive: false, flowStep: null, flowData: null } }
+        );
+    }
+    if (result.error) return bot.sendMessage(chatId, `❌ ${escapeHtml(result.error)}`, { parse_mode: 'HTML', ...backToMenuKeyboard });
+
+    const summary = result.changes
+        .filter(c => EDITABLE_FIELDS[role][c.field])
+        .map(c => `• ${escapeHtml(EDITABLE_FIELDS[role][c.field].label)}: ${escapeHtml(formatEditValue(c.field, c.to))}`)
+        .join('\n');
+    return bot.sendMessage(
+        chatId,
+        `✅ <b>Request updated</b> <code>${escapeHtml(requestId)}</code>\n${summary}\n\n` +
+        `It is back with our admin team for review; you'll be notified once it's approved again.`,
+        { parse_mode: 'HTML', ...backToMenuKeyboard }
+    );
+}
+
+// ------------------- Tracking timeline -------------------
+// Every state change appends an event per request ID to trackingCol; pair events (match,
+// hand-over, delivery) are written to both the sender and the traveler request.
+const TRACKING_EVENTS = {
+    submitted: '📝 Submitted for review',
+    edited: '✏️ Edited – sent back for review',
+    visa_requested: '🛂 Visa requested by admin',
+    visa_uploaded: '🛂 Visa uploaded',
+    approved: '✅ Approved by admin',
+    rejected: '❌ Rejected by admin',
+    matched: '🤝 Matched',
+    handover_started: '📦 Hand-over started',
+    handover_failed: '⚠️ Hand-over not received',
+    received: '📥 Received by traveler',
+    in_transit: '✈️ In transit',
+    delivered: '🏁 Delivered – awaiting admin approval',
+    delivery_rejected: '↩️ Delivery confirmation rejected',
+    recipient_confirmed: '📬 Receipt confirmed by recipient',
+    recipient_disputed: '⚠️ Recipient reported not received',
+    completed: '🎉 Delivery approved – closed',
+    cancelled: '🚫 Cancelled',
+    expired: '⌛ Expired'
+};
+
+async function recordTrackingEvent(requestIds, type, detail = '') {
+    const ids = [].concat(requestIds).filter(Boolean);
+    if (!ids.length) return;
+    try {
+        const at = new Date();
+        await trackingCol.insertMany(ids.map(requestId => ({ requestId, type, detail, at })));
+    } catch (err) {
+        console.error('recordTrackingEvent error', err);
+    }
+}
+
+// Owner-only; returns { role, doc, events } or null
+async function getTrackingTimeline(requestId, owner) {
+    const rid = String(requestId || '').trim().toLowerCase();
+    if (!/^(snd|trv)\d+$/.test(rid)) return null;
+    const role = rid.startsWith('snd') ? 'sender' : 'traveler';
+    const doc = await (role === 'sender' ? sendersCol : travelersCol).findOne({ requestId: rid, ...owner });
+    if (!doc) return null;
+
+    const events = await trackingCol.find({ requestId: rid }).sort({ at: 1 }).toArray();
+    // Requests submitted before tracking existed still show when they started
+    if (!events.some(e => e.type === 'submitted') && doc.createdAt) {
+        events.unshift({ requestId: rid, type: 'submitted', detail: '', at: doc.createdAt });
+    }
+    return { role, doc, events };
+}
+
+function trackingRoute(role, doc) {
+    if (role === 'sender') {
+        const s = buildSenderSnapshot(doc);
+        return `${s.pickupCode || s.pickup} → ${s.destinationCode || s.destination}`;
+    }
+    const t = buildTravelerSnapshot(doc);
+    return `${t.departureCode || t.departure} → ${t.destinationCode || t.destination}`;
+}
+
+function formatTrackingTimeline({ role, doc, events }) {
+    let text = `📍 <b>Tracking</b> <code>${escapeHtml(doc.requestId)}</code>\n`;
+    text += `${role === 'sender' ? '📦' : '🧳'} ${escapeHtml(trackingRoute(role, doc))}\n`;
+    text += `<b>Status:</b> ${escapeHtml(doc.status || 'Pending')}\n\n`;
+    events.forEach(e => {
+        text += `• ${moment(e.at).format('DD-MM-YYYY HH:mm')} – ${TRACKING_EVENTS[e.type] || escapeHtml(e.type)}`;
+        if (e.detail) text += ` <i>(${escapeHtml(e.detail)})</i>`;
+        text += '\n';
+    });
+    return text;
+}
+
+// Senders can share their package's progress with the recipient
+function trackingKeyboard({ role, doc }) {
+    const rows = role === 'sender' ? [[{ text: '🔗 Share tracking link', callback_data: `trk_share_${doc.requestId}` }]] : [];
+    return { reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] } };
+}
+
+async function showTrackingTimeline(chatId, requestId) {
+    const timeline = await getTrackingTimeline(requestId, ownerQueryFor(chatId));
+    if (!timeline) {
+        return bot.sendMessage(chatId, '❌ No request with that ID was found in your account.', { parse_mode: 'HTML', ...backToMenuKeyboard });
+    }
+    return bot.sendMessage(chatId, formatTrackingTimeline(timeline), { parse_mode: 'HTML', ...trackingKeyboard(timeline) });
+}
+
+async function startTrackingFlow(chatId) {
+    const owner = ownerQueryFor(chatId);
+    const recent = [
+        ...await sendersCol.find(owner).sort({ createdAt: -1 }).limit(5).toArray(),
+        ...await travelersCol.find(owner).sort({ createdAt: -1 }).limit(5).toArray()
+    ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, 5);
+
+    userSessions[chatId] = { type: 'tracking', step: 'tracking_id', data: {}, expectingPhoto: null, requestId: null };
+    if (String(chatId).startsWith("web_")) {
+        const uid = String(chatId).replace("web_", "");
+        userSessions[chatId].webUserId = uid;
+        await usersCol.updateOne(
+            { _id: new ObjectId(uid) },
+            { $set: { currentService: 'tracking', flowStep: 'tracking_id', flowData: {}, flowActive: true, flowExpectingPhoto: null, updatedAt: new Date() } }
+        );
+    }
+
+    const rows = recent.map(doc => [{
+        text: `${doc.role === 'traveler' ? '🧳' : '📦'} ${doc.requestId} (${doc.status || 'Pending'})`,
+        callback_data: `trk_${doc.requestId}`
+    }]);
+    return bot.sendMessage(
+        chatId,
+        '📍 <b>Track a request</b>\n\nEnter your request ID (e.g. snd250101120000)' + (rows.length ? ' or pick a recent one:' : ':'),
+        { parse_mode: 'HTML', reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] } }
+    );
+}
+
+async function endTrackingFlow(chatId) {
+    if (userSessions[chatId]?.type === 'tracking') delete userSessions[chatId];
+    if (String(chatId).startsWith("web_")) {
+        await usersCol.updateOne(
+            { _id: new ObjectId(String(chatId).replace("web_", "")), currentService: 'tracking' },
+            { $set: { flowActive: false, flowStep: null, flowData: null } }
+        );
+    }
+}
+
+async function handleTrackingTextStep(chatId, text) {
+    const timeline = await getTrackingTimeline(text, ownerQueryFor(chatId));
+    if (!timeline) {
+        return bot.sendMessage(chatId, '❌ No request with that ID was found in your account. Check the ID and try again.', { parse_mode: 'HTML', ...backToMenuKeyboard });
+    }
+    await endTrackingFlow(chatId);
+    return bot.sendMessage(chatId, formatTrackingTimeline(timeline), { parse_mode: 'HTML', ...trackingKeyboard(timeline) });
+}
+
+// Packages the traveler has received are in transit once the traveler's departure time passes
+async function markShipmentsInTransit() {
+    try {
+        const received = await sendersCol.find({
+            travelerReceived: true,
+            deliveryCompleted: { $ne: true },
+            inTransitAt: { $exists: false },
+            matchedWith: { $ne: null }
+        }).toArray();
+        for (const senderDoc of received) {
+            const travelerDoc = await travelersCol.findOne({ requestId: senderDoc.matchedWith });
+            if (!travelerDoc || !isRequestPastDate('traveler', travelerDoc)) continue;
+
+            const inTransitAt = new Date();
+            await sendersCol.updateOne({ requestId: senderDoc.requestId }, { $set: { inTransitAt } });
+            await updateTravelerMatch(travelerDoc.requestId, senderDoc.requestId, { inTransitAt });
+            await recordTrackingEvent([senderDoc.requestId, travelerDoc.requestId], 'in_transit', travelerDoc.data?.departureTime ? `departed ${travelerDoc.data.departureTime}` : '');
+            await notifyPartner(
+                senderDoc.telegramId || `web_${senderDoc.userId}`,
+                `✈️ <b>Your package <code>${escapeHtml(senderDoc.requestId)}</code> is in transit.</b>`
+            );
+            await notifyRecipient(senderDoc, `✈️ <b>Your package is in transit.</b>`);
+        }
+    } catch (err) {
+        console.error('markShipmentsInTransit error', err);
+    }
+}
+
+// ------------------- Public tracking links -------------------
+// A signed, expiring URL for people without an account. The page shows only the route, the
+// status and the shipment milestones: no request IDs, names, partner details or notes.
+const PUBLIC_TRACKING_EVENTS = ['submitted', 'approved', 'matched', 'handover_started', 'received', 'in_transit', 'delivered', 'recipient_confirmed', 'recipient_disputed', 'completed', 'cancelled', 'expired'];
+
+// Recipient links additionally let the holder confirm receipt
+function createTrackingLink(requestId, recipient = false) {
+    const token = jwt.sign({ rid: requestId, scope: 'track', ...(recipient ? { rcp: true } : {}) }, TRACKING_LINK_SECRET, { expiresIn: `${TRACKING_LINK_DAYS}d` });
+    return { url: `${BASE_URL}/track/${token}`, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+}
+
+// Returns { requestId, recipient }, or null for a bad signature, an expired link or a token of another kind
+function verifyTrackingToken(token) {
+    try {
+        const decoded = jwt.verify(String(token || ''), TRACKING_LINK_SECRET);
+        return decoded.scope === 'track' && decoded.rid ? { requestId: decoded.rid, recipient: !!decoded.rcp } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+async function getPublicTimeline(requestId) {
+    const doc = await sendersCol.findOne({ requestId });
+    if (!doc) return null;
+    const events = await trackingCol.find({ requestId, type: { $in: PUBLIC_TRACKING_EVENTS } }).sort({ at: 1 }).toArray();
+    if (!events.some(e => e.type === 'submitted') && doc.createdAt) events.unshift({ type: 'submitted', at: doc.createdAt });
+    return {
+        route: trackingRoute('sender', doc),
+        status: doc.status || 'Pending',
+        events: events.map(e => ({ label: TRACKING_EVENTS[e.type], at: e.at })),
+        canConfirm: recipientCanConfirm(doc)
+    };
+}
+
+function renderPublicTrackingPage(timeline, confirmAction = null) {
+    const confirmForm = timeline?.canConfirm && confirmAction
+        ? `<p class="note">Anyone holding this link can answer. Your answer is passed to the sender and our team as coming from the link holder, not as a verified recipient.</p>
+        <form method="post" action="${escapeHtml(confirmAction)}?received=yes"><button>✅ I received it</button></form>
+        <form method="post" action="${escapeHtml(confirmAction)}?received=no"><button>❌ Not received</button></form>`
+        : '';
+    const body = timeline
+        ? `<h2>📦 ${escapeHtml(timeline.route)}</h2>
+        <p><b>Status:</b> ${escapeHtml(timeline.status)}</p>
+        <ul>${timeline.events.map(e => `<li><span>${moment(e.at).format('DD MMM YYYY, HH:mm')}</span>${escapeHtml(e.label)}</li>`).join('')}</ul>
+        ${confirmForm}`
+        : `<h2>Link unavailable</h2><p>This tracking link is invalid or has expired. Ask the sender for a new one.</p>`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>AirDlivers – Shipment tracking</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 560px; margin: 40px auto; padding: 0 16px; color: #222; }
+        h1 { font-size: 22px; } h1 span { color: #007bff; }
+        ul { list-style: none; padding: 0; border-left: 2px solid #007bff; }
+        li { padding: 6px 12px; } li span { display: block; color: gray; font-size: 13px; }
+        form { display: inline-block; margin-right: 8px; }
+        .note { color: gray; font-size: 13px; }
+        button { padding: 8px 14px; border: none; border-radius: 5px; background: #007bff; color: #fff; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1><span>Air</span>Dlivers</h1>
+    ${body}
+</body>
+</html>`;
+}
+
+// ------------------- Recipient -------------------
+// The person collecting the package at the destination. On approval the sender gets a Telegram
+// deep link (/start rcp_<code>) and a recipient tracking link to pass on; the recipient follows
+// the shipment there and confirms receipt themselves, which admins see before closing a delivery.
+let botUsername = null;
+async function getBotUsername() {
+    if (!botUsername) botUsername = (await bot.getMe()).username;
+    return botUsername;
+}
+
+// Receipt can be confirmed once the traveler has the package and until admin closes the delivery
+function recipientCanConfirm(doc) {
+    return !!(doc?.data?.recipientName && doc.travelerReceived && !doc.deliveryCompleted &&
+        doc.status !== 'Cancelled' && doc.recipientConfirmation?.received !== true);
+}
+
+function formatRecipientForAdmin(doc) {
+    const data = doc?.data || {};
+    if (!data.recipientName) return '';
+    let text = `<b>Recipient:</b> ${escapeHtml(data.recipientName)} (${escapeHtml(data.recipientPhone || 'no phone')})\n`;
+    const c = doc.recipientConfirmation;
+    if (c) {
+        text += c.received
+            ? `<b>Recipient confirmation:</b> ✅ received (${escapeHtml(c.via)}, ${moment(c.at).format('DD-MM-YYYY HH:mm')})\n`
+            : `<b>Recipient confirmation:</b> ⚠️ reported NOT received (${escapeHtml(c.via)}, ${moment(c.at).format('DD-MM-YYYY HH:mm')})\n`;
+    } else {
+        text += `<b>Recipient confirmation:</b> ⏳ not yet${doc.recipientTelegramId ? '' : ' (recipient has not opened the Telegram link)'}\n`;
+    }
+    return text;
+}
+
+async function notifyRecipient(senderDoc, text, keyboard) {
+    if (!senderDoc?.recipientTelegramId) return;
+    try {
+        await bot.sendMessage(senderDoc.recipientTelegramId, text, { parse_mode: 'HTML', ...(keyboard ? { reply_markup: keyboard } : {}) });
+    } catch (err) {
+        console.error('notifyRecipient error', err.message);
+    }
+}
+
+function recipientConfirmKeyboard(requestId) {
+    return {
+        inline_keyboard: [
+            [{ text: '✅ I received it', callback_data: `rcp_yes_${requestId}` }],
+            [{ text: '❌ Not received', callback_data: `rcp_no_${requestId}` }]
+        ]
+    };
+}
+
+// Sent once, on the sender request's first approval
+async function sendRecipientInvite(doc) {
+    if (!doc?.data?.recipientName || doc.recipientInviteSentAt) return;
+    const code = doc.recipientCode || crypto.randomBytes(8).toString('hex');
+    await sendersCol.updateOne({ requestId: doc.requestId }, { $set: { recipientCode: code, recipientInviteSentAt: new Date() } });
+
+    const link = createTrackingLink(doc.requestId, true);
+    let telegramLink = null;
+    try {
+        telegramLink = `https://t.me/${await getBotUsername()}?start=rcp_${code}`;
+    } catch (err) {
+        console.error('getBotUsername error', err.message);
+    }
+    await notifyPartner(
+        doc.telegramId || `web_${doc.userId}`,
+        `📨 <b>Share with your recipient</b>\n\nSend ${escapeHtml(doc.data.recipientName)} this link so they get updates for <code>${escapeHtml(doc.requestId)}</code> and can confirm when the package arrives:\n\n` +
+        (telegramLink ? `Telegram: ${escapeHtml(telegramLink)}\n` : '') +
+        `Web (no account needed): ${escapeHtml(link.url)}`
+    );
+}
+
+// /start rcp_<code>: ties the recipient's Telegram chat to the shipment
+async function linkRecipient(chatId, code) {
+    const doc = await sendersCol.findOne({ recipientCode: String(code) });
+    if (!doc || ['Rejected', 'Cancelled'].includes(doc.status)) {
+        return bot.sendMessage(chatId, '❌ This recipient link is no longer valid. Please ask the sender for a new one.', { parse_mode: 'HTML', ...mainMenuInline });
+    }
+    // The link travels through the sender (and the traveler sees the shipment), so neither may claim it
+    const { travelerDoc } = await resolveDeliveryPair(doc.requestId);
+    if (String(chatId) === String(doc.telegramId) || (travelerDoc && String(chatId) === String(travelerDoc.telegramId))) {
+        return bot.sendMessage(chatId, '❌ This link is for the person receiving the package. Please forward it to them.', { parse_mode: 'HTML', ...mainMenuInline });
+    }
+    if (doc.recipientTelegramId && String(doc.recipientTelegramId) !== String(chatId)) {
+        return bot.sendMessage(chatId, '❌ This recipient link has already been used from another Telegram account.', { parse_mode: 'HTML', ...mainMenuInline });
+    }
+    await sendersCol.updateOne({ requestId: doc.requestId }, { $set: { recipientTelegramId: chatId, recipientLinkedAt: new Date() } });
+
+    const timeline = await getPublicTimeline(doc.requestId);
+    let text = `📦 <b>A package is on its way to you</b>\n\nHi ${escapeHtml(doc.data.recipientName)}, you are the recipient of an AirDlivers shipment (${escapeHtml(timeline.route)}).\n`;
+    text += `We'll message you here as it moves and ask you to confirm once you have it.\n\n`;
+    text += timeline.events.map(e => `• ${moment(e.at).format('DD-MM-YYYY HH:mm')} – ${e.label}`).join('\n');
+    const updated = await sendersCol.findOne({ requestId: doc.requestId });
+    return bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        ...(recipientCanConfirm(updated) ? { reply_markup: recipientConfirmKeyboard(doc.requestId) } : {})
+    });
+}
+
+// The tracking page cannot tell who opened it, so its answers are labelled as the link holder's
+const RECIPIENT_LINK_VIA = 'tracking link holder';
+
+// Shared by the Telegram buttons and the recipient tracking page
+async function recordRecipientConfirmation(doc, received, via) {
+    if (!received && doc.recipientConfirmation?.received === false) return doc.recipientConfirmation;
+    const confirmation = { received, via, at: new Date() };
+    await sendersCol.updateOne({ requestId: doc.requestId }, { $set: { recipientConfirmation: confirmation } });
+    await recordTrackingEvent(doc.requestId, received ? 'recipient_confirmed' : 'recipient_disputed');
+
+    const who = via === RECIPIENT_LINK_VIA ? 'The recipient tracking link holder' : escapeHtml(doc.data.recipientName);
+    await notifyPartner(
+        doc.telegramId || `web_${doc.userId}`,
+        received
+            ? `📬 <b>${who} confirmed receiving</b> <code>${escapeHtml(doc.requestId)}</code>.`
+            : `⚠️ <b>${who} reported NOT receiving</b> <code>${escapeHtml(doc.requestId)}</code>. Our team will look into it.`
+    );
+
+    // Re-offer the closure buttons while the traveler's delivery is waiting for approval
+    const { travelerDoc } = await resolveDeliveryPair(doc.requestId);
+    const pending = getTravelerMatches(travelerDoc).some(m => m.senderRequestId === doc.requestId && m.deliveryPendingApproval);
+    const adminKeyboard = pending ? {
+        inline_keyboard: [
+            [{ text: "✅ Approve Delivery", callback_data: `d_admin_app_${doc.requestId}` }],
+            [{ text: "❌ Reject", callback_data: `d_admin_rej_${doc.requestId}` }]
+        ]
+    } : undefined;
+    await bot.sendMessage(
+        String(ADMIN_GROUP_ID),
+        `${received ? '📬 <b>Recipient Confirmed Receipt</b>' : '⚠️ <b>Recipient Reported NOT Received</b>'}\nSender: <code>${escapeHtml(doc.requestId)}</code>\n` +
+        `Traveler: <code>${escapeHtml(doc.matchedWith || '-')}</code>\nVia: ${escapeHtml(via)}` +
+        (via === RECIPIENT_LINK_VIA ? '\n⚠️ Not identity-checked: anyone with the recipient link (including the sender) could have answered.' : '') +
+        (pending ? '\nDelivery is awaiting approval.' : ''),
+        { parse_mode: 'HTML', ...(adminKeyboard ? { reply_markup: adminKeyboard } : {}) }
+    );
+    return confirmation;
+}
+
+// ------------------- Cancellation -------------------
+// Free before a match. After a confirmed match the owner has to confirm, the partner is told and
+// goes back into matching. Once the package has been handed over only support can cancel.
+const CANCELLABLE_STATUSES = ['Pending', 'Approved', 'VisaRequested'];
+
+function isMatchHandedOver(m) {
+    return !!(m?.handoverStarted || m?.travelerReceived || m?.deliveryPendingApproval || m?.deliveryCompleted);
+}
+
+// 'open' | 'matched' | 'handed_over' | 'closed'
+function cancelStateOf(role, doc) {
+    if (!doc || !CANCELLABLE_STATUSES.includes(doc.status) || doc.deliveryCompleted) return 'closed';
+    if (role === 'sender') {
+        if (!doc.matchLocked) return 'open';
+        return isMatchHandedOver(doc) ? 'handed_over' : 'matched';
+    }
+    // Packages already delivered stay as they are; only the open ones decide what cancelling does
+    const open = getOpenTravelerMatches(doc);
+    if (!open.length) return 'open';
+    return open.some(isMatchHandedOver) ? 'handed_over' : 'matched';
+}
+
+// Takes a cancelled sender's package off its traveler and gives the capacity back
+async function releaseTravelerFromSender(travelerReqId, senderReqId) {
+    const travelerDoc = await travelersCol.findOne({ requestId: travelerReqId });
+    if (!travelerDoc) return null;
+
+    if (Array.isArray(travelerDoc.matches)) {
+        const entry = travelerDoc.matches.find(m => m.senderRequestId === senderReqId);
+        await travelersCol.updateOne(
+            { requestId: travelerReqId },
+            { $pull: { matches: { senderRequestId: senderReqId } }, $inc: { remainingWeight: Number(entry?.weight) || 0 } }
+        );
+    } else {
+        await travelersCol.updateOne({ requestId: travelerReqId }, { $set: { remainingWeight: travelerDoc.data?.availableWeight } });
+    }
+
+    const updated = await travelersCol.findOne({ requestId: travelerReqId });
+    const open = getOpenTravelerMatches(updated);
+    if (!open.length) {
+        await travelersCol.updateOne({ requestId: travelerReqId }, { $set: { matchLocked: false }, $unset: { matchedWith: '', matchFinalizedAt: '' } });
+    } else if (updated.matchedWith === senderReqId) {
+        await travelersCol.updateOne({ requestId: travelerReqId }, { $set: { matchedWith: open[0].senderRequestId } });
+    }
+    return travelersCol.findOne({ requestId: travelerReqId });
+}
+
+// Cancels the request, releases partners and pending confirmations, and tells everyone involved.
+// Callers check cancelStateOf first; returns the released partner docs.
+async function cancelRequest(role, doc, cancelledBy) {
+    const col = role === 'sender' ? sendersCol : travelersCol;
+    const otherRole = role === 'sender' ? 'traveler' : 'sender';
+    const otherCol = role === 'sender' ? travelersCol : sendersCol;
+    const state = cancelStateOf(role, doc);
+    const now = new Date();
+    const released = [];
+
+    if (state === 'matched') {
+        if (role === 'sender') {
+            const travelerDoc = await releaseTravelerFromSender(doc.matchedWith, doc.requestId);
+            if (travelerDoc) released.push(travelerDoc);
+        } else {
+            for (const m of getOpenTravelerMatches(doc)) {
+                await sendersCol.updateOne(
+                    { requestId: m.senderRequestId },
+                    { $set: { matchLocked: false }, $unset: { matchedWith: '', matchFinalizedAt: '' } }
+                );
+                const senderDoc = await sendersCol.findOne({ requestId: m.senderRequestId });
+                if (senderDoc) released.push(senderDoc);
+            }
+        }
+    }
+
+    await col.updateOne(
+        { requestId: doc.requestId },
+        {
+            $set: {
+                status: 'Cancelled',
+                matchLocked: false,
+                cancelledAt: now,
+                cancelledBy: String(cancelledBy),
+                cancelledInState: state,
+                ...(doc.matchedWith ? { cancelledMatchWith: doc.matchedWith } : {})
+            },
+            $unset: { matchedWith: '', pendingMatchWith: '', pendingMatchAt: '' }
+        }
+    );
+
+    await recordTrackingEvent(doc.requestId, 'cancelled', state === 'matched' ? 'after match, before hand-over' : '');
+    for (const partner of released) await recordTrackingEvent(partner.requestId, 'cancelled', `match with ${doc.requestId} released`);
+
+    // Open cards in either direction are no longer actionable
+    await matchCardsCol.updateMany(
+        { $or: [{ recipientRequestId: doc.requestId }, { otherRequestId: doc.requestId }], response: null },
+        { $set: { response: 'cancelled', closedAt: now } }
+    );
+    const waiting = await otherCol.find({ pendingMatchWith: doc.requestId }).toArray();
+    await otherCol.updateMany({ pendingMatchWith: doc.requestId }, { $unset: { pendingMatchWith: '', pendingMatchAt: '' } });
+
+    for (const partner of released) {
+        const partnerRole = partner.role || otherRole;
+        await notifyPartner(
+            partner.telegramId || `web_${partner.userId}`,
+            `❌ <b>Match cancelled</b>\n\n<code>${escapeHtml(doc.requestId)}</code> was cancelled by the other user before hand-over. ` +
+            `Your request <code>${escapeHtml(partner.requestId)}</code> is back in matching.`
+        );
+        await triggerMatchingForRequest(partnerRole, partner.requestId);
+    }
+    for (const other of waiting) {
+        await notifyPartner(
+            other.telegramId || `web_${other.userId}`,
+            `ℹ️ <code>${escapeHtml(doc.requestId)}</code> is no longer available, so your confirmation for request <code>${escapeHtml(other.requestId)}</code> was withdrawn.`
+        );
+        await triggerMatchingForRequest(otherRole, other.requestId);
+    }
+
+    let adminText = `🚫 <b>Request cancelled by user</b>\n<b>Request ID:</b> <code>${escapeHtml(doc.requestId)}</code> (${role}, was ${escapeHtml(doc.status)})\n`;
+    adminText += state === 'matched' ? `<b>Stage:</b> after match, before hand-over\n` : `<b>Stage:</b> before match\n`;
+    if (released.length) adminText += `<b>Released:</b> ${released.map(p => `<code>${escapeHtml(p.requestId)}</code>`).join(', ')}\n`;
+    await bot.sendMessage(String(ADMIN_GROUP_ID), adminText, { parse_mode: 'HTML' });
+
+    return released;
+}
+
+async function showCancelMenu(chatId) {
+    const owner = ownerQueryFor(chatId);
+    const open = { status: { $in: CANCELLABLE_STATUSES } };
+    const requests = [
+        ...(await sendersCol.find({ ...owner, ...open }).sort({ createdAt: -1 }).toArray()).map(doc => ['sender', doc]),
+        ...(await travelersCol.find({ ...owner, ...open }).sort({ createdAt: -1 }).toArray()).map(doc => ['traveler', doc])
+    ];
+    if (!requests.length) {
+        return bot.sendMessage(chatId, 'You have no open requests to cancel.', { parse_mode: 'HTML', ...backToMenuKeyboard });
+    }
+
+    let text = `🚫 <b>Cancel a request</b>\n\n`;
+    const rows = [];
+    requests.forEach(([role, doc]) => {
+        const state = cancelStateOf(role, doc);
+        const stateText = state === 'open' ? 'not matched, free to cancel'
+            : state === 'matched' ? 'matched, your partner will be notified'
+                : 'handed over, contact support to cancel';
+        text += `${role === 'sender' ? '📦' : '🧳'} <code>${escapeHtml(doc.requestId)}</code> – ${stateText}\n`;
+        if (state === 'open' || state === 'matched') {
+            rows.push([{ text: `🚫 Cancel ${doc.requestId}`, callback_data: `${role}_cancel_${doc.requestId}` }]);
+        }
+    });
+
+    return bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] }
+    });
+}
+
+// ------------------- Route alerts -------------------
+// "Notify me when someone is flying/sending on X→Y between dates" subscriptions.
+// watchRole is the kind of request the owner wants to hear about ('traveler' or 'sender').
+const MAX_ROUTE_ALERTS = 5;
+
+// Alerts accept a city ("London") as well as an airport; a city covers every airport of its metro
+function resolveAlertPlace(text) {
+    const ap = resolveAirport(text);
+    const metro = ap ? null : resolveMetro(text);
+    return { text, code: ap?.iata || null, metro: metro?.code || null };
+}
+
+function formatAlertPlace(place) {
+    if (place?.metro && metroByCode.has(place.metro)) return formatMetro(metroByCode.get(place.metro));
+    return place?.code || place?.text || '?';
+}
+
+function alertPlaceMatches(place, requestText, requestCode) {
+    if (!place) return false;
+    if (place.metro) return metroForAirport(requestCode || resolveAirportCode(requestText))?.code === place.metro;
+    return airportsMatch(place.code || place.text, requestCode || requestText);
+}
+
+function alertCoversRequest(alert, role, doc) {
+    const from = moment(alert.dateFrom, 'DD-MM-YYYY', true);
+    const to = moment(alert.dateTo, 'DD-MM-YYYY', true);
+    if (!from.isValid() || !to.isValid()) return false;
+
+    if (role === 'sender') {
+        const s = buildSenderSnapshot(doc);
+        if (!alertPlaceMatches(alert.from, s.pickup, s.pickupCode)) return false;
+        if (!alertPlaceMatches(alert.to, s.destination, s.destinationCode)) return false;
+        const start = moment(s.sendDate, 'DD-MM-YYYY', true);
+        const end = moment(s.sendDateTo, 'DD-MM-YYYY', true);
+        return start.isValid() && end.isValid() && !start.isAfter(to) && !end.isBefore(from);
+    }
+
+    const t = buildTravelerSnapshot(doc);
+    if (!alertPlaceMatches(alert.from, t.departure, t.departureCode)) return false;
+    if (!alertPlaceMatches(alert.to, t.destination, t.destinationCode)) return false;
+    const departure = moment(t.departureTime, 'DD-MM-YYYY HH:mm', true);
+    if (!departure.isValid()) return false;
+    const departureDay = departure.clone().startOf('day');
+    return !departureDay.isBefore(from) && !departureDay.isAfter(to);
+}
+
+function formatRouteAlert(alert) {
+    const who = alert.watchRole === 'traveler' ? '🧳 Travelers' : '📦 Senders';
+    const dates = alert.dateFrom === alert.dateTo ? alert.dateFrom : `${alert.dateFrom} – ${alert.dateTo}`;
+    return `${who}: ${escapeHtml(formatAlertPlace(alert.from))} ➡️ ${escapeHtml(formatAlertPlace(alert.to))}, ${escapeHtml(dates)}`;
+}
+
+async function showRouteAlertsMenu(chatId, note = '') {
+    const alerts = await routeAlertsCol.find({ ownerChatId: String(chatId), active: true }).sort({ createdAt: 1 }).toArray();
+
+    let text = note + `🔔 <b>Route Alerts</b>\n\nGet a message when someone posts a trip or shipment on your route.\n\n`;
+    text += alerts.length
+        ? alerts.map(a => `• <code>${a.alertId}</code> ${formatRouteAlert(a)}`).join('\n')
+        : '<i>No active alerts.</i>';
+
+    const rows = alerts.map(a => [{ text: `🔕 Remove ${a.alertId}`, callback_data: `alert_del_${a.alertId}` }]);
+    if (alerts.length < MAX_ROUTE_ALERTS) {
+        rows.push([{ text: '🧳 Alert me about travelers', callback_data: 'alert_new_traveler' }]);
+        rows.push([{ text: '📦 Alert me about senders', callback_data: 'alert_new_sender' }]);
+    }
+
+    return bot.sendMessage(chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [...rows, ...backToMenuKeyboard.reply_markup.inline_keyboard] }
+    });
+}
+
+async function startRouteAlertFlow(chatId, watchRole) {
+    const count = await routeAlertsCol.countDocuments({ ownerChatId: String(chatId), active: true });
+    if (count >= MAX_ROUTE_ALERTS) {
+        return showRouteAlertsMenu(chatId, `⚠️ You can keep up to ${MAX_ROUTE_ALERTS} alerts. Remove one to add another.\n\n`);
+    }
+
+    userSessions[chatId] = { type: 'alert', step: 'alert_from', data: { watchRole }, expectingPhoto: null, requestId: null };
+
+    if (String(chatId).startsWith("web_")) {
+        const uid = String(chatId).replace("web_", "");
+        userSessions[chatId].webUserId = uid;
+        await usersCol.updateOne(
+            { _id: new ObjectId(uid) },
+            { $set: { currentService: 'alert', flowStep: 'alert_from', flowData: { watchRole }, flowActive: true, flowExpectingPhoto: null, updatedAt: new Date() } }
+        );
+    }
+
+    return bot.sendMessage(
+        chatId,
+        '🛫 Enter the departure airport or city (e.g. "DXB" or "Dubai"):',
+        { parse_mode: 'HTML' }
+    );
+}
+
+async function finishRouteAlertFlow(chatId) {
+    delete userSessions[chatId];
+    if (String(chatId).startsWith("web_")) {
+        await usersCol.updateOne(
+            { _id: new ObjectId(String(chatId).replace("web_", "")) },
+            { $set: { flowActive: false, flowStep: null, flowData: null } }
+        );
+    }
+}
+
+async function handleAlertTextStep(chatId, text) {
+    const sess = userSessions[chatId];
+    if (!sess) return;
+    const data = sess.data;
+
+    switch (sess.step) {
+        case 'alert_from': {
+            if (!text) return bot.sendMessage(chatId, 'Enter the departure airport or city.');
+            data.from = resolveAlertPlace(text);
+            sess.step = 'alert_to';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                `✅ From: <b>${escapeHtml(formatAlertPlace(data.from))}</b>\n\n🛬 Enter the destination airport or city (e.g. "LHR" or "London"):`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'alert_to': {
+            if (!text) return bot.sendMessage(chatId, 'Enter the destination airport or city.');
+            data.to = resolveAlertPlace(text);
+            sess.step = 'alert_date_from';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                `✅ To: <b>${escapeHtml(formatAlertPlace(data.to))}</b>\n\n📅 Enter the first date you are interested in (DD-MM-YYYY):`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'alert_date_from': {
+            const d = parseDate_ddmmyyyy(text);
+            if (!d) {
+                return bot.sendMessage(chatId,
+                    '⚠️ <b>INVALID DATE FORMAT</b>\n\n📅 Please enter the date in <b>DD-MM-YYYY</b> format.\n<i>Example: 20-03-2026</i>',
+                    { parse_mode: 'HTML' }
+                );
+            }
+            if (d < todayStart()) return bot.sendMessage(chatId, 'The date cannot be in the past.');
+            data.dateFrom = moment(d).format('DD-MM-YYYY');
+            sess.step = 'alert_date_to';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                `📅 Enter the last date you are interested in (DD-MM-YYYY), or type 'Same' for ${escapeHtml(data.dateFrom)} only:`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'alert_date_to': {
+            if (text.trim().toLowerCase() === 'same') {
+                data.dateTo = data.dateFrom;
+            } else {
+                const d = parseDate_ddmmyyyy(text);
+                if (!d) {
+                    return bot.sendMessage(chatId,
+                        '⚠️ <b>INVALID DATE FORMAT</b>\n\n📅 Please enter the date in <b>DD-MM-YYYY</b> format, or type <b>Same</b>.\n<i>Example: 25-03-2026</i>',
+                        { parse_mode: 'HTML' }
+                    );
+                }
+                if (d < moment(data.dateFrom, 'DD-MM-YYYY').toDate()) {
+                    return bot.sendMessage(chatId, 'The last date cannot be earlier than the first date.');
+                }
+                data.dateTo = moment(d).format('DD-MM-YYYY');
+            }
+
+            const isWeb = String(chatId).startsWith("web_");
+            const alert = {
+                alertId: makeRequestId('alr'),
+                ownerChatId: String(chatId),
+                userId: isWeb ? new ObjectId(String(chatId).replace("web_", "")) : null,
+                telegramId: isWeb ? null : chatId,
+                watchRole: data.watchRole,
+                from: data.from,
+                to: data.to,
+                dateFrom: data.dateFrom,
+                dateTo: data.dateTo,
+                dateToAt: moment(data.dateTo, 'DD-MM-YYYY').endOf('day').toDate(),
+                active: true,
+                notifiedRequestIds: [],
+                createdAt: new Date()
+            };
+            await routeAlertsCol.insertOne(alert);
+            await finishRouteAlertFlow(chatId);
+
+            return showRouteAlertsMenu(
+                chatId,
+                `✅ <b>Alert saved.</b> We'll message you when a matching request is approved.\n\n`
+            );
+        }
+    }
+}
+
+// Called once a request is approved; returns how many alert owners were notified
+async function evaluateRouteAlerts(role, requestId) {
+    try {
+        const col = role === 'sender' ? sendersCol : travelersCol;
+        const doc = await col.findOne({ requestId });
+        if (!doc || doc.status !== 'Approved') return 0;
+
+        const ownerChatId = doc.telegramId ? String(doc.telegramId) : `web_${doc.userId}`;
+        const alerts = await routeAlertsCol.find({
+            watchRole: role,
+            active: true,
+            ownerChatId: { $ne: ownerChatId },
+            notifiedRequestIds: { $ne: requestId }
+        }).toArray();
+
+        let sent = 0;
+        for (const alert of alerts.filter(a => alertCoversRequest(a, role, doc))) {
+            await routeAlertsCol.updateOne(
+                { alertId: alert.alertId },
+                { $addToSet: { notifiedRequestIds: requestId }, $set: { lastNotifiedAt: new Date() } }
+            );
+
+            let text = `🔔 <b>Route alert</b> <code>${alert.alertId}</code>\n\n`;
+            if (role === 'traveler') {
+                const t = buildTravelerSnapshot(doc);
+                text += `A traveler is flying <b>${escapeHtml(t.departureCode || t.departure)} ➡️ ${escapeHtml(t.destinationCode || t.destination)}</b> ` +
+                    `on ${escapeHtml(t.departureTime)} with ${escapeHtml(String(t.remainingWeight))} kg free.\n\n` +
+                    `Post a shipment request for this route to get matched.`;
+            } else {
+                const s = buildSenderSnapshot(doc);
+                text += `A sender needs a ${escapeHtml(String(s.weight))} kg package carried ` +
+                    `<b>${escapeHtml(s.pickupCode || s.pickup)} ➡️ ${escapeHtml(s.destinationCode || s.destination)}</b>, ` +
+                    `handed over ${escapeHtml(formatSendWindow(s))}.\n\n` +
+                    `Post your trip for this route to get matched.`;
+            }
+
+            await notifyPartner(alert.ownerChatId, text, {
+                inline_keyboard: [[{ text: '🔕 Stop this alert', callback_data: `alert_del_${alert.alertId}` }]]
+            });
+            sent++;
+        }
+        if (sent) console.log(`[MATCH_DEBUG] ${role} ${requestId} triggered ${sent} route alert(s).`);
+        return sent;
+    } catch (err) {
+        console.error('evaluateRouteAlerts error', err);
+        return 0;
+    }
+}
+
+async function handleRouteAlertCallback(query) {
+    const data = query.data;
+    const chatId = query.message.chat.id;
+    await bot.answerCallbackQuery(query.id);
+
+    if (data === 'alert_new_traveler') return startRouteAlertFlow(chatId, 'traveler');
+    if (data === 'alert_new_sender') return startRouteAlertFlow(chatId, 'sender');
+
+    if (data.startsWith('alert_del_')) {
+        const alertId = data.replace('alert_del_', '');
+        const res = await routeAlertsCol.updateOne(
+            { alertId, ownerChatId: String(chatId), active: true },
+            { $set: { active: false, removedAt: new Date() } }
+        );
+        const note = res.modifiedCount
+            ? `🔕 Alert <code>${escapeHtml(alertId)}</code> removed.\n\n`
+            : `⚠️ Alert <code>${escapeHtml(alertId)}</code> is no longer active.\n\n`;
+        return showRouteAlertsMenu(chatId, note);
+    }
+}
+
+// ------------------- Match callbacks -------------------
 async function handleMatchCallback(query) {
     const data = query.data;
     if (String(query.message?.chat?.id).startsWith("web_")) console.log(`[MATCH_DEBUG] Web callback received: ${data}`);
@@ -1490,11 +3932,17 @@ async function handleMatchCallback(query) {
     const otherReqId = parts[4];
     const fromUserId = query.from.id;
 
+    const myRole = (side === 's') ? 'sender' : 'traveler';
+
     if (action === 'skip') {
-        // High priority: notify web user immediately so API returns
-        if (String(query.message?.chat?.id).startsWith("web_")) {
-            await bot.sendMessage(query.message.chat.id, "➡ Match skipped. Searching for more matches...");
-        }
+        await recordSkipDecision(myRole, myReqId, otherReqId);
+
+        // High priority: web users get the reply through the capture, so send it first
+        await bot.sendMessage(
+            query.message.chat.id,
+            "➡ Match skipped. Searching for more matches...\n\n<i>Optional: tell us why so we can suggest better matches.</i>",
+            { parse_mode: 'HTML', reply_markup: skipReasonKeyboard(side, myReqId, otherReqId) }
+        );
 
         try {
             await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
@@ -1503,15 +3951,79 @@ async function handleMatchCallback(query) {
             }).catch(() => { });
             await bot.answerCallbackQuery(query.id, { text: 'Skipped this match.' });
         } catch (e) { }
+
+        // Surface the next-best candidate in place of the skipped one
+        await recordMatchCardResponse(myReqId, otherReqId, 'skip');
+        await triggerMatchingForRequest(myRole, myReqId);
+        return;
+    }
+
+    // m_s_why_sndReq_trvReq_code: optional reason for an earlier skip
+    if (action === 'why') {
+        const reason = SKIP_REASONS[parts[5]] ? parts[5] : 'other';
+        await matchDecisionsCol.updateOne(
+            { decidedByRequestId: myReqId, otherRequestId: otherReqId, decision: 'skip', undoneAt: null },
+            { $set: { reason } }
+        );
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id
+        }).catch(() => { });
+        await bot.answerCallbackQuery(query.id, { text: 'Thanks for the feedback.' });
+        if (String(query.message?.chat?.id).startsWith("web_")) {
+            await bot.sendMessage(query.message.chat.id, "🙏 Thanks for the feedback.");
+        }
         return;
     }
 
+    // m_s_undo_sndReq_trvReq: bring a skipped pair back into matching (from My Services)
+    if (action === 'undo') {
+        const myDoc = await (myRole === 'sender' ? sendersCol : travelersCol).findOne({ requestId: myReqId });
+        const isOwner = isRequestOwner(myDoc, fromUserId);
+        const undone = isOwner && await undoSkipDecision(myRole, myReqId, otherReqId);
+        await bot.answerCallbackQuery(query.id, { text: undone ? 'Skip undone.' : 'Nothing to undo.' });
+        return bot.sendMessage(
+            query.message.chat.id,
+            undone
+                ? `↩️ Skip undone. <code>${escapeHtml(otherReqId)}</code> can be suggested to you again if it still matches.`
+                : '❌ This skip could not be undone.',
+            { parse_mode: 'HTML' }
+        );
+    }
+
     if (action === 'conf') {
-        const myRole = (side === 's') ? 'sender' : 'traveler';
+        const openCard = await matchCardsCol.findOne({ recipientRequestId: myReqId, otherRequestId: otherReqId, response: null });
+        if (!openCard && !(await prepareSearchMatchRequest(myRole, myReqId, otherReqId, fromUserId))) {
+            await bot.answerCallbackQuery(query.id, { text: 'This match is no longer available.', show_alert: true });
+            if (String(query.message?.chat?.id).startsWith("web_")) {
+                await bot.sendMessage(query.message.chat.id, "❌ This match is no longer available.");
+            }
+            return;
+        }
+        await recordMatchCardResponse(myReqId, otherReqId, 'conf');
         await handleUserMatchConfirm(myRole, myReqId, otherReqId, fromUserId, query);
         return;
     }
 
+    // m_t_chat_trvReq_sndReq: traveler picks which of their senders receives chat messages
+    if (action === 'chat' && side === 't') {
+        const travelerDoc = await travelersCol.findOne({ requestId: myReqId });
+        const isOwner = isRequestOwner(travelerDoc, fromUserId);
+        if (!isOwner || !getOpenTravelerMatches(travelerDoc).some(m => m.senderRequestId === otherReqId)) {
+            await bot.answerCallbackQuery(query.id, { text: 'This package is no longer active.' });
+            return;
+        }
+
+        await travelersCol.updateOne({ requestId: myReqId }, { $set: { matchedWith: otherReqId } });
+        await bot.answerCallbackQuery(query.id, { text: 'Chat switched.' });
+        await bot.sendMessage(
+            query.message.chat.id,
+            `💬 You are now chatting with sender <code>${escapeHtml(otherReqId)}</code>. Your messages will be delivered to them.`,
+            { parse_mode: 'HTML' }
+        );
+        return;
+    }
+
     await bot.answerCallbackQuery(query.id, { text: 'Unknown match action.' });
 }
 
@@ -1564,12 +4076,28 @@ async function handleUserMatchConfirm(myRole, myReqId, otherReqId, telegramUserI
             return;
         }
 
-        if (myDoc.matchLocked || otherDoc.matchLocked) {
+        const senderDoc = myRole === 'sender' ? myDoc : otherDoc;
+        const travelerDoc = myRole === 'sender' ? otherDoc : myDoc;
+
+        if (senderDoc.matchLocked || getTravelerMatches(travelerDoc).some(m => m.senderRequestId === senderDoc.requestId)) {
             console.log(`[MATCH_DEBUG] Already Locked Check failed.`);
             await bot.answerCallbackQuery(query.id, { text: 'Already matched with someone else.' });
             return;
         }
 
+        if (!buildTravelerSnapshot(travelerDoc).acceptingMatches) {
+            console.log(`[MATCH_DEBUG] Traveler ${travelerDoc.requestId} is not accepting more packages.`);
+            await bot.answerCallbackQuery(query.id, { text: 'This traveler is not accepting more packages.' });
+            return;
+        }
+
+        // Either request may have been edited and re-approved since the card went out
+        if (!isSenderTravelerCompatible(buildSenderSnapshot(senderDoc), buildTravelerSnapshot(travelerDoc))) {
+            console.log(`[MATCH_DEBUG] ${senderDoc.requestId} / ${travelerDoc.requestId} are no longer compatible.`);
+            await bot.answerCallbackQuery(query.id, { text: 'These requests no longer match after a recent change.', show_alert: true });
+            return;
+        }
+
         if (myDoc.pendingMatchWith === otherReqId) {
             console.log(`[MATCH_DEBUG] User ${telegramUserId} already confirmed this match. Skipping redundant msg.`);
             await bot.answerCallbackQuery(query.id, { text: '⏳ Waiting for the other user to verify...', show_alert: true });
@@ -1578,29 +4106,62 @@ async function handleUserMatchConfirm(myRole, myReqId, otherReqId, telegramUserI
 
         // second side confirming?
         if (otherDoc.pendingMatchWith === myReqId) {
-            await myCol.updateOne(
-                { requestId: myReqId },
+            const packageWeight = Number(senderDoc.data?.weight) || 0;
+
+            // Reserve the package weight out of the traveler's remaining capacity
+            const reserved = await travelersCol.updateOne(
                 {
-                    $set: {
-                        matchLocked: true,
-                        matchedWith: otherReqId,
-                        matchFinalizedAt: new Date()
-                    },
-                    $unset: { pendingMatchWith: '' }
-                }
+                    requestId: travelerDoc.requestId,
+                    $or: [
+                        { remainingWeight: { $gte: packageWeight } },
+                        { remainingWeight: { $exists: false }, 'data.availableWeight': { $gte: packageWeight } }
+                    ]
+                },
+                [{ $set: { remainingWeight: { $subtract: [{ $ifNull: ['$remainingWeight', '$data.availableWeight'] }, packageWeight] } } }]
             );
-            await otherCol.updateOne(
-                { requestId: otherReqId },
+            if (!reserved.modifiedCount) {
+                console.log(`[MATCH_DEBUG] Capacity check failed for ${travelerDoc.requestId} (${packageWeight} kg).`);
+                await bot.answerCallbackQuery(query.id, { text: 'The traveler no longer has enough free capacity for this package.', show_alert: true });
+                return;
+            }
+
+            const finalizedAt = new Date();
+            await sendersCol.updateOne(
+                { requestId: senderDoc.requestId },
                 {
                     $set: {
                         matchLocked: true,
-                        matchedWith: myReqId,
-                        matchFinalizedAt: new Date()
+                        matchedWith: travelerDoc.requestId,
+                        matchFinalizedAt: finalizedAt
                     },
-                    $unset: { pendingMatchWith: '' }
+                    $unset: { pendingMatchWith: '', pendingMatchAt: '' }
                 }
             );
 
+            // Travelers hold one entry per package; matchedWith is the sender their chat goes to
+            const travelerUpdate = {
+                $set: {
+                    matchLocked: true,
+                    matchedWith: senderDoc.requestId,
+                    matchFinalizedAt: finalizedAt
+                },
+                $push: {
+                    matches: {
+                        senderRequestId: senderDoc.requestId,
+                        weight: packageWeight,
+                        matchedAt: finalizedAt,
+                        handoverStarted: false,
+                        travelerReceived: false,
+                        deliveryPendingApproval: false,
+                        deliveryCompleted: false
+                    }
+                }
+            };
+            if (travelerDoc.pendingMatchWith === senderDoc.requestId) travelerUpdate.$unset = { pendingMatchWith: '', pendingMatchAt: '' };
+            await travelersCol.updateOne({ requestId: travelerDoc.requestId }, travelerUpdate);
+            await recordTrackingEvent(senderDoc.requestId, 'matched', `traveler ${travelerDoc.requestId}`);
+            await recordTrackingEvent(travelerDoc.requestId, 'matched', `sender ${senderDoc.requestId}`);
+
             try {
                 const notifyMatchConfirmed = async (uDoc) => {
                     if (!uDoc) return;
@@ -1626,6 +4187,13 @@ async function handleUserMatchConfirm(myRole, myReqId, otherReqId, telegramUserI
                 await notifyMatchConfirmed(myDoc);
                 await notifyMatchConfirmed(otherDoc);
 
+                // Travelers carrying several packages pick which sender they are chatting with
+                const lockedTraveler = await travelersCol.findOne({ requestId: travelerDoc.requestId });
+                if (getOpenTravelerMatches(lockedTraveler).length > 1) {
+                    const menu = buildTravelerPackagesMenu(lockedTraveler);
+                    await notifyPartner(lockedTraveler.telegramId || `web_${lockedTraveler.userId}`, menu.text, menu.keyboard);
+                }
+
             } catch (e) { }
 
             try {
@@ -1648,12 +4216,15 @@ async function handleUserMatchConfirm(myRole, myReqId, otherReqId, telegramUserI
                 await bot.sendMessage(query.message.chat.id, "✅ Match confirmed!", { parse_mode: 'HTML' });
             }
             await bot.answerCallbackQuery(query.id, { text: 'Match confirmed ✅' });
+
+            // Any capacity left on the traveler goes back into matching
+            await triggerMatchingForRequest('traveler', travelerDoc.requestId);
             return;
         } else {
             // first side confirming
             await myCol.updateOne(
                 { requestId: myReqId },
-                { $set: { pendingMatchWith: otherReqId } }
+                { $set: { pendingMatchWith: otherReqId, pendingMatchAt: new Date() } }
             );
 
             // For web users: notify IMMEDIATELY so webCapture catches it
@@ -1693,6 +4264,100 @@ async function handleUserMatchConfirm(myRole, myReqId, otherReqId, telegramUserI
     }
 }
 
+// ------------------- Traveler packages (multi-sender) -------------------
+// New travelers keep one entry per confirmed sender in `matches`; older docs only have matchedWith
+function getTravelerMatches(travelerDoc) {
+    if (!travelerDoc) return [];
+    if (Array.isArray(travelerDoc.matches)) return travelerDoc.matches;
+    if (!travelerDoc.matchedWith) return [];
+    return [{
+        senderRequestId: travelerDoc.matchedWith,
+        matchedAt: travelerDoc.matchFinalizedAt || null,
+        travelerReceived: !!travelerDoc.travelerReceived,
+        handoverNote: travelerDoc.handoverNote,
+        handoverPhotoUrl: travelerDoc.handoverPhotoUrl || null,
+        deliveryPendingApproval: !!travelerDoc.deliveryPendingApproval,
+        finalNote: travelerDoc.finalNote,
+        deliveryPhotoUrl: travelerDoc.deliveryPhotoUrl || null,
+        deliveryCompleted: !!travelerDoc.deliveryCompleted,
+        deliveryCompletedAt: travelerDoc.deliveryCompletedAt || null
+    }];
+}
+
+function getOpenTravelerMatches(travelerDoc) {
+    return getTravelerMatches(travelerDoc).filter(m => !m.deliveryCompleted);
+}
+
+function travelerMatchStatusText(m) {
+    if (m.deliveryCompleted) return 'Delivered';
+    if (m.deliveryPendingApproval) return 'Delivery pending approval';
+    if (m.travelerReceived) return 'Picked up';
+    return 'Awaiting handover';
+}
+
+// d_* callbacks carry the sender request ID; links sent before multi-package matching carry the traveler's
+async function resolveDeliveryPair(reqId) {
+    let senderDoc = await sendersCol.findOne({ requestId: reqId });
+    let travelerDoc = null;
+    if (senderDoc) {
+        travelerDoc = senderDoc.matchedWith ? await travelersCol.findOne({ requestId: senderDoc.matchedWith }) : null;
+    } else {
+        travelerDoc = await travelersCol.findOne({ requestId: reqId });
+        senderDoc = travelerDoc?.matchedWith ? await sendersCol.findOne({ requestId: travelerDoc.matchedWith }) : null;
+    }
+    return { senderDoc, travelerDoc };
+}
+
+// Per-package state lives in the matches entry; legacy single-match travelers keep it at the top level
+async function updateTravelerMatch(travelerReqId, senderReqId, fields) {
+    const travelerDoc = await travelersCol.findOne({ requestId: travelerReqId });
+    if (!travelerDoc) return null;
+
+    if (!Array.isArray(travelerDoc.matches)) {
+        await travelersCol.updateOne({ requestId: travelerReqId }, { $set: fields });
+        return travelerDoc;
+    }
+
+    const $set = {};
+    for (const [key, value] of Object.entries(fields)) $set[`matches.$.${key}`] = value;
+    await travelersCol.updateOne({ requestId: travelerReqId, 'matches.senderRequestId': senderReqId }, { $set });
+    return travelerDoc;
+}
+
+// Completes the traveler once every package is delivered, otherwise keeps chat on an open package
+async function refreshTravelerDeliveryState(travelerReqId) {
+    const doc = await travelersCol.findOne({ requestId: travelerReqId });
+    if (!doc) return null;
+
+    const open = getOpenTravelerMatches(doc);
+    if (open.length === 0) {
+        await travelersCol.updateOne(
+            { requestId: travelerReqId },
+            { $set: { status: 'Completed', deliveryCompleted: true, deliveryCompletedAt: doc.deliveryCompletedAt || new Date(), deliveryPendingApproval: false } }
+        );
+    } else if (!open.some(m => m.senderRequestId === doc.matchedWith)) {
+        await travelersCol.updateOne({ requestId: travelerReqId }, { $set: { matchedWith: open[0].senderRequestId } });
+    }
+    return travelersCol.findOne({ requestId: travelerReqId });
+}
+
+function buildTravelerPackagesMenu(travelerDoc) {
+    const open = getOpenTravelerMatches(travelerDoc);
+    let text = `🧳 <b>Your Packages</b> (<code>${escapeHtml(travelerDoc.requestId)}</code>)\n\n`;
+    const rows = [];
+    open.forEach((m) => {
+        const active = m.senderRequestId === travelerDoc.matchedWith;
+        text += `📦 <code>${escapeHtml(m.senderRequestId)}</code>${m.weight ? ` – ${escapeHtml(String(m.weight))} kg` : ''}\n`;
+        text += `Status: ${escapeHtml(travelerMatchStatusText(m))}${active ? ' • 💬 chatting' : ''}\n\n`;
+        rows.push([
+            { text: `💬 Chat ${m.senderRequestId}`, callback_data: `m_t_chat_${travelerDoc.requestId}_${m.senderRequestId}` },
+            { text: `📦 Delivery ${m.senderRequestId}`, callback_data: `d_pick_${m.senderRequestId}` }
+        ]);
+    });
+    text += `<i>Your chat messages go to the sender marked 💬.</i>`;
+    return { text, keyboard: { inline_keyboard: rows } };
+}
+
 // ------------------- PRIVATE CHAT FOR MATCHED USERS -------------------
 async function getUserActiveRequest(chatId) {
     try {
@@ -1715,14 +4380,14 @@ async function getUserActiveRequest(chatId) {
 
         const activeSender = await sendersCol.findOne({
             ...query,
-            status: { $nin: ['Completed', 'Cancelled', 'Rejected'] },
+            status: { $nin: ['Completed', 'Cancelled', 'Rejected', 'Expired'] },
             deliveryCompleted: { $ne: true }
         }, { sort: { createdAt: -1 } });
         if (activeSender) return activeSender;
 
         const activeTraveler = await travelersCol.findOne({
             ...query,
-            status: { $nin: ['Completed', 'Cancelled', 'Rejected'] },
+            status: { $nin: ['Completed', 'Cancelled', 'Rejected', 'Expired'] },
             deliveryCompleted: { $ne: true }
         }, { sort: { createdAt: -1 } });
         if (activeTraveler) return activeTraveler;
@@ -1867,7 +4532,17 @@ async function tryForwardChatMessage(chatId, text) {
         const otherDoc = await otherCol.findOne({ requestId: myDoc.matchedWith, matchLocked: true });
         if (!otherDoc) return false;
 
-        if (otherDoc.telegramId) {
+        // Travelers with several packages need to know which sender wrote, and a way to reply to them
+        if (myDoc.role === 'sender' && getOpenTravelerMatches(otherDoc).length > 1) {
+            const keyboard = otherDoc.matchedWith !== myDoc.requestId
+                ? { inline_keyboard: [[{ text: `💬 Reply to ${myDoc.requestId}`, callback_data: `m_t_chat_${otherDoc.requestId}_${myDoc.requestId}` }]] }
+                : null;
+            await notifyPartner(
+                otherDoc.telegramId || `web_${otherDoc.userId}`,
+                `💬 Message from sender <code>${escapeHtml(myDoc.requestId)}</code>:\n${escapeHtml(text)}`,
+                keyboard
+            );
+        } else if (otherDoc.telegramId) {
 
             await bot.sendMessage(
                 otherDoc.telegramId,
@@ -2072,8 +4747,23 @@ async function handleDeliveredCommand(chatId) {
         const isSender = (String(myDoc.userId) === strChatId.replace("web_", "") || myDoc.telegramId === chatId) && myDoc.role === 'sender';
 
         if (isSender) {
-            if (myDoc.handoverStarted) {
-                return bot.sendMessage(chatId, '⏳ Handover started. Waiting for traveler to confirm receiving shipment.');
+            if (myDoc.travelerReceived) {
+                const code = myDoc.deliveryCode;
+                return bot.sendMessage(
+                    chatId,
+                    `✈️ The traveler has your shipment.` +
+                    (code && !code.verifiedAt && !code.locked ? `\n\n🔐 Delivery code for the recipient: <b>${code.code}</b>` : ''),
+                    { parse_mode: 'HTML' }
+                );
+            }
+            if (myDoc.handoverStarted && !myDoc.handoverCode?.locked) {
+                const code = myDoc.handoverCode;
+                return bot.sendMessage(
+                    chatId,
+                    '⏳ Handover started. Waiting for traveler to confirm receiving shipment.' +
+                    (code && !code.verifiedAt ? `\n\n🔐 Your handover code: <b>${code.code}</b>` : ''),
+                    { parse_mode: 'HTML' }
+                );
             }
             const keyboard = {
                 inline_keyboard: [
@@ -2083,27 +4773,13 @@ async function handleDeliveredCommand(chatId) {
             };
             return bot.sendMessage(chatId, "📦 <b>Have you handed over the shipment to the traveler?</b>", { reply_markup: keyboard, parse_mode: 'HTML' });
         } else {
-            // TRAVELER
-            if (!myDoc.travelerReceived) {
-                const rxKeyboard = {
-                    inline_keyboard: [
-                        [{ text: "✅ Confirm Received", callback_data: `d_rx_${myDoc.matchedWith}` }],
-                        [{ text: "❌ Not Received", callback_data: `d_nrx_${myDoc.matchedWith}` }]
-                    ]
-                };
-                return bot.sendMessage(chatId, '⚠️ <b>Handover not confirmed.</b>\n\nYou must first confirm receiving the shipment from the sender before you can mark it as delivered.', { reply_markup: rxKeyboard, parse_mode: 'HTML' });
-            }
-            if (myDoc.deliveryPendingApproval) {
-                return bot.sendMessage(chatId, '⏳ Final delivery is currently pending admin approval.', { parse_mode: 'HTML' });
+            // TRAVELER: one prompt per package, so let them pick when carrying several
+            const open = getOpenTravelerMatches(myDoc);
+            if (open.length > 1) {
+                const menu = buildTravelerPackagesMenu(myDoc);
+                return bot.sendMessage(chatId, menu.text, { reply_markup: menu.keyboard, parse_mode: 'HTML' });
             }
-
-            const keyboard = {
-                inline_keyboard: [
-                    [{ text: "✅ Yes, I delivered it", callback_data: `d_delivery_final_${myDoc.requestId}` }],
-                    [{ text: "❌ Cancel", callback_data: `d_canc_${myDoc.requestId}` }]
-                ]
-            };
-            return bot.sendMessage(chatId, "📦 <b>Confirm final delivery to the destination point?</b>", { reply_markup: keyboard, parse_mode: 'HTML' });
+            return sendTravelerDeliveryPrompt(chatId, open[0]);
         }
     } catch (err) {
         console.error('handleDeliveredCommand error', err);
@@ -2111,14 +4787,273 @@ async function handleDeliveredCommand(chatId) {
     }
 }
 
+// ------------------- Handover & delivery codes -------------------
+// One-time 6-digit codes prove the two sides of an exchange actually met: the sender holds the
+// handover code and the traveler types it to confirm receipt; the sender (and a linked recipient)
+// hold the delivery code and the traveler types it before the delivery goes to admin approval.
+// Codes live on the sender request; every attempt is kept and wrong ones are flagged to admins.
+const EXCHANGE_CODE_MAX_ATTEMPTS = 3;
+
+async function issueExchangeCode(senderReqId, kind) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await sendersCol.updateOne(
+        { requestId: senderReqId },
+        { $set: { [`${kind}Code`]: { code, createdAt: new Date(), attempts: [], verifiedAt: null, locked: false } } }
+    );
+    return code;
+}
+
+// 'ok' | 'mismatch' (with attempts left) | 'locked' | 'missing'
+async function verifyExchangeCode(senderDoc, travelerDoc, kind, input) {
+    const field = `${kind}Code`;
+    const entry = senderDoc[field];
+    if (!entry) return { status: 'missing' };
+    if (entry.verifiedAt) return { status: 'ok' };
+    if (entry.locked) return { status: 'locked' };
+
+    const matched = String(input || '').replace(/\s/g, '') === entry.code;
+    const attempts = (entry.attempts?.length || 0) + 1;
+    const locked = !matched && attempts >= EXCHANGE_CODE_MAX_ATTEMPTS;
+    const update = { $push: { [`${field}.attempts`]: { at: new Date(), matched } } };
+    if (matched) update.$set = { [`${field}.verifiedAt`]: new Date() };
+    if (locked) update.$set = { [`${field}.locked`]: true };
+    await sendersCol.updateOne({ requestId: senderDoc.requestId }, update);
+    if (matched) return { status: 'ok' };
+
+    // A locked handover code is replaced when the sender starts the handover again; a locked
+    // delivery code can only be replaced by an admin, so the alert carries that button
+    const reissueKeyboard = locked && kind === 'delivery'
+        ? { inline_keyboard: [[{ text: "🔁 Issue new delivery code", callback_data: `d_admin_recode_${senderDoc.requestId}` }]] }
+        : undefined;
+    await bot.sendMessage(
+        String(ADMIN_GROUP_ID),
+        `⚠️ <b>${kind === 'handover' ? 'Handover' : 'Delivery'} Code Mismatch</b>\nSender: <code>${escapeHtml(senderDoc.requestId)}</code>\n` +
+        `Traveler: <code>${escapeHtml(travelerDoc.requestId)}</code>\nAttempt ${attempts}/${EXCHANGE_CODE_MAX_ATTEMPTS}` +
+        (locked ? `\n⛔ Code locked: the ${kind} is not confirmed until a new code is used.` : ''),
+        { parse_mode: 'HTML', reply_markup: reissueKeyboard }
+    );
+    return locked ? { status: 'locked' } : { status: 'mismatch', left: EXCHANGE_CODE_MAX_ATTEMPTS - attempts };
+}
+
+function formatExchangeCodeForAdmin(senderDoc, kind) {
+    const entry = senderDoc?.[`${kind}Code`];
+    const label = kind === 'handover' ? 'Handover code' : 'Delivery code';
+    if (!entry) return `${label}: not used\n`;
+    const wrong = (entry.attempts || []).filter(a => !a.matched).length;
+    if (entry.verifiedAt) return `${label}: ✅ verified${wrong ? ` after ${wrong} wrong attempt(s)` : ''}\n`;
+    return `${label}: ⚠️ not verified (${wrong} wrong attempt(s))\n`;
+}
+
+// The traveler has the package: tell the sender and hand out the delivery code
+async function markHandoverReceived(senderDoc, travelerDoc) {
+    const reqId = senderDoc.requestId;
+    await sendersCol.updateOne({ requestId: reqId }, { $set: { travelerReceived: true } });
+    await updateTravelerMatch(travelerDoc.requestId, reqId, { travelerReceived: true });
+    await recordTrackingEvent([reqId, travelerDoc.requestId], 'received');
+
+    const senderChatId = senderDoc.telegramId || `web_${senderDoc.userId}`;
+    await notifyPartner(senderChatId, "📦 <b>Traveler confirmed receiving your shipment.</b>\n\nChat remains open until they reach the final destination.");
+    await sendDeliveryCode(senderDoc);
+}
+
+// Issues a fresh delivery code (replacing any locked one) and sends it to the sender and recipient
+async function sendDeliveryCode(senderDoc, reissued = false) {
+    const reqId = senderDoc.requestId;
+    const code = await issueExchangeCode(reqId, 'delivery');
+    await notifyPartner(
+        senderDoc.telegramId || `web_${senderDoc.userId}`,
+        `🔐 <b>${reissued ? 'New delivery' : 'Delivery'} code for <code>${escapeHtml(reqId)}</code>: ${code}</b>\n\n` +
+        (reissued ? 'The previous code no longer works. ' : '') + 'The traveler must enter it to complete the delivery. ' +
+        `Share it only with ${escapeHtml(senderDoc.data?.recipientName || 'the person collecting the package')}, who gives it to the traveler once they have the package.`
+    );
+    await notifyRecipient(senderDoc, `🔐 <b>Your ${reissued ? 'new ' : ''}delivery code: ${code}</b>\n\nGive it to the traveler only once you have the package in hand.`);
+}
+
+// ------------------- Handover & delivery photos -------------------
+// The traveler photographs the package when receiving it and when delivering it. Both photos are
+// kept on the sender request (and the traveler's match entry), and admins see each one next to
+// the package photo the sender submitted before they act on the note.
+const DELIVERY_PHOTO_STEPS = { handover_photo: 'handover', delivery_photo: 'delivery' };
+
+function deliveryPhotoPrompt(kind, reqId) {
+    return kind === 'handover'
+        ? `📸 <b>Send a photo of the package</b> <code>${escapeHtml(reqId)}</code> as you received it (mandatory):`
+        : `📸 <b>Send a photo of the package</b> <code>${escapeHtml(reqId)}</code> at delivery (mandatory):`;
+}
+
+// Shared by Telegram and web photo uploads during a delivery_flow photo step. Receipt is only
+// confirmed once the handover photo is in, so a dropped session leaves the package not received.
+async function saveDeliveryPhoto(session, fileId, photoUrl) {
+    const kind = DELIVERY_PHOTO_STEPS[session.step];
+    const { senderDoc, travelerDoc } = await resolveDeliveryPair(session.requestId);
+    if (!senderDoc || !travelerDoc) return { reply: "❌ This shipment is no longer active.", done: true };
+
+    const fields = { [`${kind}Photo`]: fileId, [`${kind}PhotoUrl`]: photoUrl || null, [`${kind}PhotoAt`]: new Date() };
+    await sendersCol.updateOne({ requestId: senderDoc.requestId }, { $set: fields });
+    await updateTravelerMatch(travelerDoc.requestId, senderDoc.requestId, fields);
+
+    if (kind === 'handover') {
+        if (!senderDoc.travelerReceived) await markHandoverReceived(senderDoc, travelerDoc);
+        session.step = 'handover_note';
+        return { reply: `✅ Photo saved. You confirmed that shipment ${senderDoc.requestId} has been picked up from the sender.\n\n📝 Add optional notes or type 'None' to complete reception:`, done: false };
+    }
+    session.step = 'final_note';
+    return { reply: "✅ Photo saved.\n\n📝 Add optional notes or type 'None' to complete delivery:", done: false };
+}
+
+// Original package photo and the new one as a single album so they sit side by side in the group
+async function sendDeliveryPhotoComparison(senderDoc, kind) {
+    const original = senderDoc.data?.packagePhoto || senderDoc.data?.packagePhotoUrl;
+    const current = senderDoc[`${kind}Photo`] || senderDoc[`${kind}PhotoUrl`];
+    const reqId = escapeHtml(senderDoc.requestId);
+    const photos = [];
+    if (original) photos.push({ type: 'photo', media: original, caption: `📦 Submitted by sender: <code>${reqId}</code>`, parse_mode: 'HTML' });
+    if (current) photos.push({ type: 'photo', media: current, caption: `📸 At ${kind}: <code>${reqId}</code>`, parse_mode: 'HTML' });
+    if (photos.length === 0) return;
+    try {
+        if (photos.length === 2) await bot.sendMediaGroup(String(ADMIN_GROUP_ID), photos);
+        else await bot.sendPhoto(String(ADMIN_GROUP_ID), photos[0].media, { caption: photos[0].caption, parse_mode: 'HTML' });
+    } catch (err) {
+        console.error('sendDeliveryPhotoComparison error', err);
+    }
+}
+
+function formatDeliveryPhotoForAdmin(senderDoc, kind) {
+    const label = kind === 'handover' ? 'Handover photo' : 'Delivery photo';
+    const original = senderDoc.data?.packagePhoto || senderDoc.data?.packagePhotoUrl;
+    if (!senderDoc[`${kind}Photo`] && !senderDoc[`${kind}PhotoUrl`]) return `${label}: ⚠️ missing\n`;
+    return `${label}: ${original ? 'compare with the original above' : 'above (no original package photo on file)'}\n`;
+}
+
+// Shared by Telegram and web: stores the handover / final note on the package and alerts admins
+async function saveDeliveryNote(session, note) {
+    const { senderDoc, travelerDoc } = await resolveDeliveryPair(session.requestId);
+    if (!senderDoc || !travelerDoc) return "❌ This shipment is no longer active.";
+    const sndId = senderDoc.requestId;
+    const trvId = travelerDoc.requestId;
+
+    if (session.step === 'handover_note') {
+        await sendersCol.updateOne({ requestId: sndId }, { $set: { handoverNote: note } });
+        await updateTravelerMatch(trvId, sndId, { handoverNote: note });
+        await sendDeliveryPhotoComparison(senderDoc, 'handover');
+        await bot.sendMessage(String(ADMIN_GROUP_ID), `📋 <b>Traveler Confirmed Receipt</b>\nSender: <code>${sndId}</code>\nTraveler: <code>${trvId}</code>\nNote: ${escapeHtml(note) || 'None'}\n${formatExchangeCodeForAdmin(senderDoc, 'handover')}${formatDeliveryPhotoForAdmin(senderDoc, 'handover')}`, { parse_mode: 'HTML' });
+        return "✅ Handover note saved. Chat remains open until final delivery.";
+    }
+
+    await updateTravelerMatch(trvId, sndId, { finalNote: note, deliveryPendingApproval: true });
+    await recordTrackingEvent([sndId, trvId], 'delivered', note);
+    if (recipientCanConfirm(senderDoc)) {
+        await notifyRecipient(senderDoc, `🏁 <b>The traveler reports your package was delivered.</b>\n\nPlease confirm whether you have it.`, recipientConfirmKeyboard(sndId));
+    }
+    const adminKeyboard = {
+        inline_keyboard: [
+            [{ text: "✅ Approve Delivery", callback_data: `d_admin_app_${sndId}` }],
+            [{ text: "❌ Reject", callback_data: `d_admin_rej_${sndId}` }]
+        ]
+    };
+    await sendDeliveryPhotoComparison(senderDoc, 'delivery');
+    await bot.sendMessage(String(ADMIN_GROUP_ID), `🏁 <b>Final Delivery Completed</b>\nSender: <code>${sndId}</code>\nTraveler: <code>${trvId}</code>\nNote: ${escapeHtml(note) || 'None'}\n${formatExchangeCodeForAdmin(senderDoc, 'delivery')}${formatDeliveryPhotoForAdmin(senderDoc, 'delivery')}${formatRecipientForAdmin(senderDoc)}Approve closure?`, { parse_mode: 'HTML', reply_markup: adminKeyboard });
+    return "✅ Final delivery note saved. Waiting for admin approval.";
+}
+
+// Code steps come first, then the photo, then the note; returns { reply, done } and done ends the delivery session
+async function handleDeliveryFlowText(session, text) {
+    if (DELIVERY_PHOTO_STEPS[session.step]) {
+        return { reply: "📸 A photo of the package is required. Please send it as a photo to continue.", done: false };
+    }
+
+    if (session.step === 'handover_code' || session.step === 'delivery_code') {
+        const kind = session.step === 'handover_code' ? 'handover' : 'delivery';
+        const { senderDoc, travelerDoc } = await resolveDeliveryPair(session.requestId);
+        if (!senderDoc || !travelerDoc) return { reply: "❌ This shipment is no longer active.", done: true };
+
+        const result = await verifyExchangeCode(senderDoc, travelerDoc, kind, text);
+        if (result.status === 'mismatch') return { reply: `❌ That code is not correct. ${result.left} attempt(s) left.`, done: false };
+        if (result.status === 'locked') {
+            if (kind === 'handover') {
+                await notifyPartner(
+                    senderDoc.telegramId || `web_${senderDoc.userId}`,
+                    `⛔ <b>The traveler entered a wrong handover code too many times</b> for <code>${escapeHtml(senderDoc.requestId)}</code>.\n\nUse /delivered (or the Delivered button) to get a new code when you meet.`
+                );
+            }
+            const next = kind === 'handover' ? 'ask the sender to start the handover again' : 'they can issue a new delivery code';
+            return { reply: `⛔ Too many wrong codes. Our team has been notified; ${next}.`, done: true };
+        }
+
+        if (kind === 'handover') {
+            session.step = 'handover_photo';
+            return { reply: `✅ Code confirmed for shipment ${senderDoc.requestId}.\n\n📸 Send a photo of the package as you received it (mandatory) to confirm receipt:`, done: false };
+        }
+        await notifyPartner(senderDoc.telegramId || `web_${senderDoc.userId}`, "📦 <b>Traveler has started the final delivery process.</b>\n\nChat will be closed once Admin approves the delivery.");
+        session.step = 'delivery_photo';
+        return { reply: "✅ Code confirmed.\n\n📸 Send a photo of the package at delivery (mandatory):", done: false };
+    }
+
+    const note = text.toLowerCase() === 'none' ? '' : text;
+    return { reply: await saveDeliveryNote(session, note), done: true };
+}
+
+async function sendTravelerDeliveryPrompt(chatId, m) {
+    if (!m) {
+        return bot.sendMessage(chatId, '❌ You don’t have any current shipment in process.', { parse_mode: 'HTML' });
+    }
+    const sndId = m.senderRequestId;
+
+    if (!m.travelerReceived) {
+        const rxKeyboard = {
+            inline_keyboard: [
+                [{ text: "✅ Confirm Received", callback_data: `d_rx_${sndId}` }],
+                [{ text: "❌ Not Received", callback_data: `d_nrx_${sndId}` }]
+            ]
+        };
+        return bot.sendMessage(chatId, `⚠️ <b>Handover not confirmed</b> for <code>${escapeHtml(sndId)}</code>.\n\nYou must first confirm receiving the shipment from the sender before you can mark it as delivered.`, { reply_markup: rxKeyboard, parse_mode: 'HTML' });
+    }
+    if (m.deliveryPendingApproval) {
+        return bot.sendMessage(chatId, `⏳ Final delivery of <code>${escapeHtml(sndId)}</code> is currently pending admin approval.`, { parse_mode: 'HTML' });
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            [{ text: "✅ Yes, I delivered it", callback_data: `d_delivery_final_${sndId}` }],
+            [{ text: "❌ Cancel", callback_data: `d_canc_${sndId}` }]
+        ]
+    };
+    return bot.sendMessage(chatId, `📦 <b>Confirm final delivery of <code>${escapeHtml(sndId)}</code> to the destination point?</b>`, { reply_markup: keyboard, parse_mode: 'HTML' });
+}
+
 bot.onText(/^\/delivered$/i, async (msg) => {
     await handleDeliveredCommand(msg.chat.id);
 });
+bot.onText(/^\/search(?:\s+(snd\d+|trv\d+))?$/i, async (msg, match) => {
+    try {
+        // Request IDs are stored lower-case; the command itself is matched case-insensitively
+        await showSearchResults(msg.chat.id, match[1] ? match[1].toLowerCase() : null);
+    } catch (err) {
+        console.error('/search handler err', err);
+    }
+});
+bot.onText(/^\/track(?:\s+(snd\d+|trv\d+))?$/i, async (msg, match) => {
+    try {
+        if (match[1]) await showTrackingTimeline(msg.chat.id, match[1]);
+        else await startTrackingFlow(msg.chat.id);
+    } catch (err) {
+        console.error('/track handler err', err);
+    }
+});
+bot.onText(/^\/cancel$/i, async (msg) => {
+    try {
+        await showCancelMenu(msg.chat.id);
+    } catch (err) {
+        console.error('/cancel handler err', err);
+    }
+});
 bot.onText(/\/start/, async (msg) => {
     console.log('[/start] received from', msg.chat.id, 'msg_id', msg.message_id);
     try {
         const chatId = msg.chat.id;
         userSessions[chatId] = null;
+        const recipientLink = String(msg.text || '').match(/^\/start\s+rcp_([a-f0-9]+)$/i);
+        if (recipientLink) return linkRecipient(chatId, recipientLink[1].toLowerCase());
         const welcome =
             `<b>👋 Welcome to AirDlivers!</b>\n\n` +
             `AirDlivers is a secure communication platform that connects Senders and Airline Travelers for next-day international delivery.\n\n` +
@@ -2150,6 +5085,159 @@ bot.onText(/\/privacy|\/help/, (msg) => {
         `Privacy: We collect data required to facilitate deliveries (name, contact, IDs when needed). We do not sell data.`;
     bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true });
 });
+// ------------------- Admin: Matching date tolerance -------------------
+bot.onText(/^\/settolerance(?:\s+(\d+))?$/i, async (msg, match) => {
+    try {
+        const chatId = msg.chat.id;
+        const fromId = msg.from.id;
+        if (String(chatId) !== String(ADMIN_GROUP_ID)) return;
+
+        const isSuper = String(fromId) === String(SUPER_ADMIN_ID);
+        if (!isSuper && !adminAuth[fromId]?.loggedIn) {
+            return bot.sendMessage(chatId, '🔒 Admin access required. Please login with /admin in this group.');
+        }
+
+        if (match[1] === undefined) {
+            return bot.sendMessage(
+                chatId,
+                `📅 Current date tolerance: <b>±${matchSettings.dateToleranceDays} day(s)</b>\nUsage: <code>/settolerance 2</code>\n\n` +
+                `⌛ Pending confirmation timeout: <b>${matchSettings.pendingTimeoutHours} hour(s)</b>\nUsage: <code>/setpendingtimeout 24</code>`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const days = Number(match[1]);
+        if (days > 7) return bot.sendMessage(chatId, '❌ Tolerance must be between 0 and 7 days.');
+
+        matchSettings.dateToleranceDays = days;
+        await settingsCol.updateOne(
+            { _id: 'matching' },
+            { $set: { dateToleranceDays: days, updatedAt: new Date(), updatedBy: fromId } },
+            { upsert: true }
+        );
+        return bot.sendMessage(chatId, `✅ Date tolerance set to <b>±${days} day(s)</b>.`, { parse_mode: 'HTML' });
+    } catch (err) {
+        console.error('/settolerance error', err);
+        bot.sendMessage(msg.chat.id, '❌ Failed to update tolerance.');
+    }
+});
+
+bot.onText(/^\/setpendingtimeout\s+(\d+)$/i, async (msg, match) => {
+    try {
+        const chatId = msg.chat.id;
+        const fromId = msg.from.id;
+        if (String(chatId) !== String(ADMIN_GROUP_ID)) return;
+
+        const isSuper = String(fromId) === String(SUPER_ADMIN_ID);
+        if (!isSuper && !adminAuth[fromId]?.loggedIn) {
+            return bot.sendMessage(chatId, '🔒 Admin access required. Please login with /admin in this group.');
+        }
+
+        const hours = Number(match[1]);
+        if (hours < 1 || hours > 168) return bot.sendMessage(chatId, '❌ Timeout must be between 1 and 168 hours.');
+
+        matchSettings.pendingTimeoutHours = hours;
+        await settingsCol.updateOne(
+            { _id: 'matching' },
+            { $set: { pendingTimeoutHours: hours, updatedAt: new Date(), updatedBy: fromId } },
+            { upsert: true }
+        );
+        return bot.sendMessage(chatId, `✅ Pending confirmations now expire after <b>${hours} hour(s)</b>.`, { parse_mode: 'HTML' });
+    } catch (err) {
+        console.error('/setpendingtimeout error', err);
+        bot.sendMessage(msg.chat.id, '❌ Failed to update pending timeout.');
+    }
+});
+
+// ------------------- Admin: Re-matching runs -------------------
+bot.onText(/^\/matchruns(?:\s+(now))?$/i, async (msg, match) => {
+    try {
+        const chatId = msg.chat.id;
+        const fromId = msg.from.id;
+        if (String(chatId) !== String(ADMIN_GROUP_ID)) return;
+
+        const isSuper = String(fromId) === String(SUPER_ADMIN_ID);
+        if (!isSuper && !adminAuth[fromId]?.loggedIn) {
+            return bot.sendMessage(chatId, '🔒 Admin access required. Please login with /admin in this group.');
+        }
+
+        if (match[1]) {
+            await bot.sendMessage(chatId, '🔄 Running re-matching now...');
+            const run = await runMatchSweep(`admin:${fromId}`);
+            if (!run) return bot.sendMessage(chatId, '⏳ A re-matching run is already in progress.');
+        }
+
+        const runs = await matchRunsCol.find({}).sort({ startedAt: -1 }).limit(5).toArray();
+        if (runs.length === 0) return bot.sendMessage(chatId, '📭 No re-matching runs recorded yet.');
+
+        let text = `🔁 <b>Recent re-matching runs</b>\n<i>Every ${MATCH_SWEEP_INTERVAL_MINUTES || '—'} min. Use /matchruns now to run immediately.</i>\n\n`;
+        runs.forEach(r => {
+            const secs = r.finishedAt ? ((r.finishedAt - r.startedAt) / 1000).toFixed(1) : '?';
+            text += `• ${moment(r.startedAt).format('DD-MM HH:mm')} (${escapeHtml(r.trigger)}, ${secs}s)\n`;
+            text += `  Senders: ${r.sendersChecked} | Travelers: ${r.travelersChecked} | Cards: ${r.cardsSent}${r.errors ? ` | ⚠️ Errors: ${r.errors}` : ''}\n`;
+        });
+        return bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+    } catch (err) {
+        console.error('/matchruns error', err);
+        bot.sendMessage(msg.chat.id, '❌ Failed to load re-matching runs.');
+    }
+});
+
+// ------------------- Admin: Match explanation -------------------
+bot.onText(/^\/whymatch\s+(snd\d+|trv\d+)\s+(snd\d+|trv\d+)$/i, async (msg, match) => {
+    try {
+        const chatId = msg.chat.id;
+        const fromId = msg.from.id;
+        if (String(chatId) !== String(ADMIN_GROUP_ID)) return;
+
+        const isSuper = String(fromId) === String(SUPER_ADMIN_ID);
+        if (!isSuper && !adminAuth[fromId]?.loggedIn) {
+            return bot.sendMessage(chatId, '🔒 Admin access required. Please login with /admin in this group.');
+        }
+
+        // Request IDs are stored lower-case; the command itself is matched case-insensitively
+        const ids = [match[1].toLowerCase(), match[2].toLowerCase()];
+        const senderId = ids.find(id => id.startsWith('snd'));
+        const travelerId = ids.find(id => id.startsWith('trv'));
+        if (!senderId || !travelerId) {
+            return bot.sendMessage(chatId, 'Usage: <code>/whymatch snd… trv…</code>', { parse_mode: 'HTML' });
+        }
+
+        const senderDoc = await sendersCol.findOne({ requestId: senderId });
+        const travelerDoc = await travelersCol.findOne({ requestId: travelerId });
+        if (!senderDoc || !travelerDoc) {
+            return bot.sendMessage(chatId, `❌ Not found: ${escapeHtml([!senderDoc && senderId, !travelerDoc && travelerId].filter(Boolean).join(', '))}`);
+        }
+
+        const s = buildSenderSnapshot(senderDoc);
+        const t = buildTravelerSnapshot(travelerDoc);
+        const report = evaluateCompatibility(s, t);
+
+        let text = `🔎 <b>Match check</b> <code>${escapeHtml(senderId)}</code> ↔ <code>${escapeHtml(travelerId)}</code>\n\n`;
+        text += report.checks.map(c => `${c.ok ? '✅' : '❌'} <b>${c.key}</b>: ${escapeHtml(c.detail)}`).join('\n');
+        text += `\n\n<b>Status:</b> sender ${escapeHtml(s.status)}, traveler ${escapeHtml(t.status)}`;
+        if (s.status !== 'Approved' || t.status !== 'Approved') text += ` (both must be Approved)`;
+
+        const skip = await matchDecisionsCol.findOne({ senderRequestId: senderId, travelerRequestId: travelerId, decision: { $in: ['skip', 'expired'] }, undoneAt: null });
+        if (skip?.decision === 'expired') text += `\n<b>Expired:</b> ${escapeHtml(skip.decidedByRole)} did not confirm in time`;
+        else if (skip) text += `\n<b>Skipped by:</b> ${escapeHtml(skip.decidedByRole)}${skip.reason ? ` (${escapeHtml(skip.reason)})` : ''}`;
+        if (s.pendingMatchWith || t.pendingMatchWith) {
+            text += `\n<b>Pending:</b> sender → ${escapeHtml(s.pendingMatchWith || '-')}, traveler → ${escapeHtml(t.pendingMatchWith || '-')}`;
+        }
+
+        if (report.compatible) {
+            const stats = await loadCandidateStats('traveler', [travelerDoc]);
+            text += `\n<b>Score for sender:</b> ${scoreMatchCandidate(s, t, stats.get(userKeyOf(travelerDoc)))}/100`;
+        }
+        text += `\n\n<b>Result:</b> ${report.compatible ? '✅ Compatible' : '❌ Not compatible'}`;
+
+        return bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+    } catch (err) {
+        console.error('/whymatch error', err);
+        bot.sendMessage(msg.chat.id, '❌ Failed to explain match.');
+    }
+});
+
 // ------------------- Admin: WHOIS command -------------------
 bot.onText(/^\/whois\s+(snd\d+|trv\d+)$/i, async (msg, match) => {
     try {
@@ -2320,6 +5408,10 @@ bot.on('callback_query', async (query) => {
         if (data === 'flow_sender') return startSenderFlow(chatId);
         if (data === 'flow_traveler') return startTravelerFlow(chatId);
         if (data === 'flow_help') return showHelpMenu(chatId);
+        if (data === 'flow_alerts') return showRouteAlertsMenu(chatId);
+        if (data === 'flow_repeat') return showRepeatMenu(chatId);
+        if (data.startsWith('srch_')) return showSearchResults(chatId, data.replace('srch_', ''));
+        if (data.startsWith('alert_')) return handleRouteAlertCallback(query);
         if (data === 'flow_support') {
             const activeReq = await getUserActiveRequest(chatId);
             if (!activeReq) {
@@ -2350,14 +5442,39 @@ bot.on('callback_query', async (query) => {
 
             return bot.sendMessage(chatId, welcomeMsg, { parse_mode: 'HTML' });
         }
-        if (data === 'flow_tracking') {
-            userSessions[chatId] = { type: 'tracking', step: 'tracking_phone', data: {} };
+        if (data === 'flow_tracking') return startTrackingFlow(chatId);
+        if (data.startsWith('rcp_yes_') || data.startsWith('rcp_no_')) {
+            const received = data.startsWith('rcp_yes_');
+            const doc = await sendersCol.findOne({ requestId: data.replace(received ? 'rcp_yes_' : 'rcp_no_', '') });
+            if (!doc || String(doc.recipientTelegramId) !== String(query.from.id)) {
+                return bot.answerCallbackQuery(query.id, { text: 'This confirmation is not available.' });
+            }
+            if (!recipientCanConfirm(doc)) return bot.answerCallbackQuery(query.id, { text: 'Nothing to confirm right now.' });
+            await recordRecipientConfirmation(doc, received, 'telegram');
+            await bot.answerCallbackQuery(query.id);
             return bot.sendMessage(
                 chatId,
-                '📍 Enter the phone number used for shipment (format: +911234567890):',
+                received ? '📬 Thanks for confirming. Enjoy your package!' : '⚠️ Thanks for letting us know. Our team will check with the traveler and the sender.',
                 { parse_mode: 'HTML' }
             );
         }
+        if (data.startsWith('trk_share_')) {
+            const timeline = await getTrackingTimeline(data.replace('trk_share_', ''), ownerQueryFor(chatId));
+            if (!timeline || timeline.role !== 'sender') return bot.answerCallbackQuery(query.id, { text: 'Only your own shipments can be shared.' });
+            const link = createTrackingLink(timeline.doc.requestId);
+            await bot.answerCallbackQuery(query.id);
+            return bot.sendMessage(
+                chatId,
+                `🔗 <b>Tracking link</b> for <code>${escapeHtml(timeline.doc.requestId)}</code>\n\n${escapeHtml(link.url)}\n\n` +
+                `Anyone with this link can follow the shipment's progress until ${moment(link.expiresAt).format('DD-MM-YYYY')}. ` +
+                `It shows the route and milestones only, never names, IDs or notes.`,
+                { parse_mode: 'HTML', disable_web_page_preview: true, ...backToMenuKeyboard }
+            );
+        }
+        if (data.startsWith('trk_')) {
+            await endTrackingFlow(chatId);
+            return showTrackingTimeline(chatId, data.replace('trk_', ''));
+        }
         if (data === 'flow_my_services') {
             let dbUserId = fromId;
             const user = await usersCol.findOne({ telegramId: fromId });
@@ -2381,10 +5498,38 @@ bot.on('callback_query', async (query) => {
             myTravelers.forEach((t) => {
                 servicesText += `🧳 <b>Traveler</b> [<code>${t.requestId}</code>]\n`;
                 servicesText += `Route: ${t.data?.departure || '?'} ➡️ ${t.data?.destination || '?'}\n`;
-                servicesText += `Status: ${t.status}\n\n`;
+                servicesText += `Status: ${t.status}\n`;
+                getTravelerMatches(t).forEach((m) => {
+                    servicesText += `  📦 <code>${m.senderRequestId}</code>: ${travelerMatchStatusText(m)}\n`;
+                });
+                servicesText += `\n`;
             });
 
-            return bot.sendMessage(chatId, servicesText, { parse_mode: 'HTML', ...backToMenuKeyboard });
+            // Skipped suggestions can be brought back while the request is still open
+            const openIds = [...mySenders, ...myTravelers]
+                .filter(r => r.status === 'Approved' && !r.deliveryCompleted)
+                .map(r => r.requestId);
+            const skips = await getActiveSkipsForRequests(openIds);
+            const undoRows = skips.slice(0, 10).map(d => [{
+                text: `↩️ Undo skip: ${d.otherRequestId} (for ${d.decidedByRequestId})`,
+                callback_data: `m_${d.decidedByRole === 'sender' ? 's' : 't'}_undo_${d.decidedByRequestId}_${d.otherRequestId}`
+            }]);
+            if (undoRows.length) servicesText += `<i>Skipped suggestions can be restored below.</i>\n`;
+
+            const repostRows = [
+                ...mySenders.filter(r => r.status === 'Expired').map(r => ['sender', r.requestId]),
+                ...myTravelers.filter(r => r.status === 'Expired').map(r => ['traveler', r.requestId])
+            ].slice(0, 5).map(([role, rid]) => [{ text: `🔁 Re-post ${rid}`, callback_data: `${role}_repost_${rid}` }]);
+
+            const editRows = [
+                ...mySenders.filter(r => !requestEditBlockReason('sender', r)).map(r => ['sender', r.requestId]),
+                ...myTravelers.filter(r => !requestEditBlockReason('traveler', r)).map(r => ['traveler', r.requestId])
+            ].slice(0, 5).map(([role, rid]) => [{ text: `✏️ Edit ${rid}`, callback_data: `${role}_edit_${rid}` }]);
+
+            return bot.sendMessage(chatId, servicesText, {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: [...undoRows, ...editRows, ...repostRows, ...backToMenuKeyboard.reply_markup.inline_keyboard] }
+            });
         }
 
         if (data === 'back_to_menu') {
@@ -2412,17 +5557,30 @@ bot.on('callback_query', async (query) => {
             return bot.answerCallbackQuery(query.id, { text: "❌ Delivery confirmation cancelled." });
         }
 
+        if (data.startsWith('d_pick_')) {
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_pick_', ''));
+            const m = getOpenTravelerMatches(travelerDoc).find(x => x.senderRequestId === senderDoc?.requestId);
+            await bot.answerCallbackQuery(query.id);
+            return sendTravelerDeliveryPrompt(chatId, m);
+        }
+
         if (data.startsWith('d_handover_start_')) {
             const reqId = data.replace('d_handover_start_', '');
             const myDoc = await sendersCol.findOne({ requestId: reqId });
             if (!myDoc || myDoc.deliveryCompleted) return bot.answerCallbackQuery(query.id, { text: "Match is no longer active." });
+            if (!isRequestOwner(myDoc, query.from.id)) return bot.answerCallbackQuery(query.id, { text: "Only the sender can start the handover." });
+            const senderChatId = myDoc.telegramId || `web_${myDoc.userId}`;
 
             await sendersCol.updateOne({ requestId: reqId }, { $set: { handoverStarted: true } });
+            if (myDoc.matchedWith) await updateTravelerMatch(myDoc.matchedWith, reqId, { handoverStarted: true });
+            await recordTrackingEvent([reqId, myDoc.matchedWith], 'handover_started');
+            const handoverCode = await issueExchangeCode(reqId, 'handover');
 
             // Notify Sender
             if (!String(chatId).startsWith("web_")) {
                 await bot.editMessageText("✅ <b>Shipment handed over to traveler.</b>", { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
             }
+            await bot.sendMessage(senderChatId, `🔐 <b>Your handover code: ${handoverCode}</b>\n\nShow it to the traveler when you hand over the package. They must enter it to confirm receipt.`, { parse_mode: 'HTML' });
 
             // Notify Traveler
             const otherDoc = await travelersCol.findOne({ requestId: myDoc.matchedWith });
@@ -2434,7 +5592,7 @@ bot.on('callback_query', async (query) => {
                         [{ text: "❌ Not Received", callback_data: `d_nrx_${reqId}` }]
                     ]
                 };
-                await notifyPartner(travelerId, `📦 <b>Sender has handed over the shipment to you.</b>\n\nDid you receive the package?`, rxKeyboard);
+                await notifyPartner(travelerId, `📦 <b>Sender has handed over the shipment <code>${escapeHtml(reqId)}</code> to you.</b>\n\nDid you receive the package? You will need the handover code the sender shows you.`, rxKeyboard);
             }
 
             // Notify Admin
@@ -2443,37 +5601,42 @@ bot.on('callback_query', async (query) => {
         }
 
         if (data.startsWith('d_rx_')) {
-            const reqId = data.replace('d_rx_', '');
-            const senderDoc = await sendersCol.findOne({ requestId: reqId });
-            if (!senderDoc) return bot.answerCallbackQuery(query.id, { text: "Link expired/Invalid." });
-
-            await sendersCol.updateOne({ requestId: reqId }, { $set: { travelerReceived: true } });
-            await travelersCol.updateOne({ requestId: senderDoc.matchedWith }, { $set: { travelerReceived: true } });
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_rx_', ''));
+            if (!senderDoc || !travelerDoc) return bot.answerCallbackQuery(query.id, { text: "Link expired/Invalid." });
+            if (!isRequestOwner(travelerDoc, query.from.id)) return bot.answerCallbackQuery(query.id, { text: "Only the traveler can confirm receipt." });
+            const reqId = senderDoc.requestId;
+            if (senderDoc.travelerReceived) return bot.answerCallbackQuery(query.id, { text: "Receipt already confirmed." });
+
+            // Handovers started with a code need it typed in first
+            if (senderDoc.handoverCode && !senderDoc.handoverCode.verifiedAt) {
+                if (senderDoc.handoverCode.locked) {
+                    return bot.answerCallbackQuery(query.id, { text: "Too many wrong codes. Ask the sender to start the handover again.", show_alert: true });
+                }
+                userSessions[chatId] = { type: 'delivery_flow', step: 'handover_code', requestId: reqId };
+                await bot.sendMessage(chatId, `🔐 <b>Enter the 6-digit handover code</b> the sender shows you for <code>${escapeHtml(reqId)}</code>:`, { parse_mode: 'HTML' });
+                return bot.answerCallbackQuery(query.id);
+            }
 
             if (!String(chatId).startsWith("web_")) {
-                await bot.editMessageText("✅ <b>You confirmed receiving the shipment.</b>", { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
+                await bot.editMessageText("📸 <b>Send a package photo to confirm receipt.</b>", { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
             }
 
-            // Notify Traveler (Self)
-            await bot.sendMessage(chatId, "✅ <b>You confirmed that shipment has been picked up from the sender.</b>", { parse_mode: 'HTML' });
-
-            // Notify Sender
-            const senderChatId = senderDoc.telegramId || `web_${senderDoc.userId}`;
-            await notifyPartner(senderChatId, "📦 <b>Traveler confirmed receiving your shipment.</b>\n\nChat remains open until they reach the final destination.");
-
-            // Ask for notes
-            userSessions[chatId] = { type: 'delivery_flow', step: 'handover_note', requestId: reqId };
-            await bot.sendMessage(chatId, "📝 <b>Add optional notes or type 'None' to complete reception:</b>", { parse_mode: 'HTML' });
+            // Receipt is confirmed once the package photo arrives (saveDeliveryPhoto), then notes
+            userSessions[chatId] = { type: 'delivery_flow', step: 'handover_photo', requestId: reqId };
+            await bot.sendMessage(chatId, deliveryPhotoPrompt('handover', reqId), { parse_mode: 'HTML' });
 
             return bot.answerCallbackQuery(query.id);
         }
 
         if (data.startsWith('d_nrx_')) {
-            const reqId = data.replace('d_nrx_', '');
-            const senderDoc = await sendersCol.findOne({ requestId: reqId });
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_nrx_', ''));
             if (!senderDoc) return bot.answerCallbackQuery(query.id, { text: "Link expired/Invalid." });
+            if (!isRequestOwner(travelerDoc, query.from.id)) return bot.answerCallbackQuery(query.id, { text: "Only the traveler can report the handover." });
+            const reqId = senderDoc.requestId;
 
             await sendersCol.updateOne({ requestId: reqId }, { $set: { handoverStarted: false } });
+            if (travelerDoc) await updateTravelerMatch(travelerDoc.requestId, reqId, { handoverStarted: false });
+            await recordTrackingEvent([reqId, travelerDoc?.requestId], 'handover_failed');
 
             if (!String(chatId).startsWith("web_")) {
                 await bot.editMessageText("❌ <b>You reported handover as FAILED (Not Received).</b>", { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
@@ -2489,81 +5652,224 @@ bot.on('callback_query', async (query) => {
         }
 
         if (data.startsWith('d_delivery_final_')) {
-            const reqId = data.replace('d_delivery_final_', '');
-            const travelerDoc = await travelersCol.findOne({ requestId: reqId });
-            if (!travelerDoc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_delivery_final_', ''));
+            if (!senderDoc || !travelerDoc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
+            if (!isRequestOwner(travelerDoc, query.from.id)) return bot.answerCallbackQuery(query.id, { text: "Only the traveler can complete the delivery." });
+            if (!senderDoc.travelerReceived) return bot.answerCallbackQuery(query.id, { text: "Confirm receiving the shipment (with its photo) first.", show_alert: true });
+
+            // The delivery code from the recipient side has to be typed in before the delivery goes to admins
+            if (senderDoc.deliveryCode && !senderDoc.deliveryCode.verifiedAt) {
+                if (senderDoc.deliveryCode.locked) {
+                    return bot.answerCallbackQuery(query.id, { text: "Too many wrong codes. Our team has been notified and can issue a new delivery code.", show_alert: true });
+                }
+                userSessions[chatId] = { type: 'delivery_flow', step: 'delivery_code', requestId: senderDoc.requestId };
+                await bot.sendMessage(chatId, `🔐 <b>Enter the 6-digit delivery code</b> the recipient gives you for <code>${escapeHtml(senderDoc.requestId)}</code>:`, { parse_mode: 'HTML' });
+                return bot.answerCallbackQuery(query.id);
+            }
 
             if (!String(chatId).startsWith("web_")) {
                 await bot.editMessageText("✅ <b>Final delivery initiated. Please provide details...</b>", { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
             }
 
             // Notify Sender
-            const senderDoc = await sendersCol.findOne({ matchedWith: reqId });
-            if (senderDoc) {
-                const senderChatId = senderDoc.telegramId || `web_${senderDoc.userId}`;
-                await notifyPartner(senderChatId, "📦 <b>Traveler has started the final delivery process.</b>\n\nChat will be closed once Admin approves the delivery.");
-            }
+            const senderChatId = senderDoc.telegramId || `web_${senderDoc.userId}`;
+            await notifyPartner(senderChatId, "📦 <b>Traveler has started the final delivery process.</b>\n\nChat will be closed once Admin approves the delivery.");
 
-            // Ask for notes
-            userSessions[chatId] = { type: 'delivery_flow', step: 'final_note', requestId: reqId };
-            await bot.sendMessage(chatId, "📝 <b>Add optional notes or type 'None' to complete delivery:</b>", { parse_mode: 'HTML' });
+            // Ask for the package photo, then notes
+            userSessions[chatId] = { type: 'delivery_flow', step: 'delivery_photo', requestId: senderDoc.requestId };
+            await bot.sendMessage(chatId, deliveryPhotoPrompt('delivery', senderDoc.requestId), { parse_mode: 'HTML' });
 
             return bot.answerCallbackQuery(query.id);
         }
 
         if (data.startsWith('d_admin_app_')) {
-            const reqId = data.replace('d_admin_app_', '');
-            let doc = await travelersCol.findOne({ requestId: reqId });
-
-            if (!doc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
-            if (doc.deliveryCompleted) return bot.answerCallbackQuery(query.id, { text: "Already completed." });
-
-            // Complete Traveler
-            await travelersCol.updateOne({ requestId: reqId }, { $set: { status: 'Completed', deliveryCompleted: true, deliveryCompletedAt: new Date(), deliveryPendingApproval: false } });
-
-            // Complete Sender
-            const senderDoc = await sendersCol.findOne({ matchedWith: reqId });
-            if (senderDoc) {
-                await sendersCol.updateOne({ requestId: doc.matchedWith }, { $set: { status: 'Completed', deliveryCompleted: true, deliveryCompletedAt: new Date(), deliveryPendingApproval: false } });
-            }
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_admin_app_', ''));
+            if (!senderDoc || !travelerDoc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
+            if (senderDoc.deliveryCompleted) return bot.answerCallbackQuery(query.id, { text: "Already completed." });
+
+            // Complete this package on both sides
+            const completedAt = new Date();
+            await sendersCol.updateOne({ requestId: senderDoc.requestId }, { $set: { status: 'Completed', deliveryCompleted: true, deliveryCompletedAt: completedAt, deliveryPendingApproval: false } });
+            await updateTravelerMatch(travelerDoc.requestId, senderDoc.requestId, { deliveryCompleted: true, deliveryCompletedAt: completedAt, deliveryPendingApproval: false });
+            await recordTrackingEvent([senderDoc.requestId, travelerDoc.requestId], 'completed');
+            const refreshed = await refreshTravelerDeliveryState(travelerDoc.requestId);
+            const remaining = getOpenTravelerMatches(refreshed).length;
 
             const closureMsg = "📦 <b>Delivery completed successfully. Chat closed.</b>";
 
             // Notify Traveler
-            const travelerId = doc.telegramId || `web_${doc.userId}`;
-            await notifyPartner(travelerId, closureMsg);
-            if (!String(travelerId).startsWith("web_")) {
-                await bot.sendMessage(travelerId, "🆕 <b>Main Menu</b>", { parse_mode: 'HTML', ...mainMenuInline });
+            const travelerId = travelerDoc.telegramId || `web_${travelerDoc.userId}`;
+            if (remaining > 0) {
+                const menu = buildTravelerPackagesMenu(refreshed);
+                await notifyPartner(travelerId, `📦 <b>Delivery of <code>${escapeHtml(senderDoc.requestId)}</code> approved.</b>\n\nYou still have ${remaining} package(s) in progress.`);
+                await notifyPartner(travelerId, menu.text, menu.keyboard);
+            } else {
+                await notifyPartner(travelerId, closureMsg);
+                if (!String(travelerId).startsWith("web_")) {
+                    await bot.sendMessage(travelerId, "🆕 <b>Main Menu</b>", { parse_mode: 'HTML', ...mainMenuInline });
+                }
             }
 
             // Notify Sender
-            if (senderDoc) {
-                const senderId = senderDoc.telegramId || `web_${senderDoc.userId}`;
-                await notifyPartner(senderId, closureMsg);
-                if (!String(senderId).startsWith("web_")) {
-                    await bot.sendMessage(senderId, "🆕 <b>Main Menu</b>", { parse_mode: 'HTML', ...mainMenuInline });
-                }
+            const senderId = senderDoc.telegramId || `web_${senderDoc.userId}`;
+            await notifyPartner(senderId, closureMsg);
+            await notifyRecipient(senderDoc, "🎉 <b>Delivery completed.</b> Thank you for using AirDlivers.");
+            if (!String(senderId).startsWith("web_")) {
+                await bot.sendMessage(senderId, "🆕 <b>Main Menu</b>", { parse_mode: 'HTML', ...mainMenuInline });
             }
 
-            await bot.editMessageText(`✅ <b>Approved Delivery!</b>\nIDs: S:${doc.matchedWith} T:${reqId}\nChat closed for both users.`, { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
+            await bot.editMessageText(`✅ <b>Approved Delivery!</b>\nIDs: S:${senderDoc.requestId} T:${travelerDoc.requestId}\n${remaining > 0 ? `Traveler still has ${remaining} open package(s).` : 'Chat closed for both users.'}`, { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
             return bot.answerCallbackQuery(query.id);
         }
 
         if (data.startsWith('d_admin_rej_')) {
-            const reqId = data.replace('d_admin_rej_', '');
-            let doc = await travelersCol.findOne({ requestId: reqId });
-            if (!doc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_admin_rej_', ''));
+            if (!senderDoc || !travelerDoc) return bot.answerCallbackQuery(query.id, { text: "Request not found." });
 
-            await travelersCol.updateOne({ requestId: reqId }, { $set: { deliveryPendingApproval: false } });
+            await updateTravelerMatch(travelerDoc.requestId, senderDoc.requestId, { deliveryPendingApproval: false });
+            await recordTrackingEvent([senderDoc.requestId, travelerDoc.requestId], 'delivery_rejected');
 
-            const rejMsg = "❌ <b>Admin has rejected your final delivery confirmation.</b>\n\nPlease discuss with your partner.";
-            const travelerId = doc.telegramId || `web_${doc.userId}`;
+            const rejMsg = `❌ <b>Admin has rejected your final delivery confirmation</b> for <code>${escapeHtml(senderDoc.requestId)}</code>.\n\nPlease discuss with your partner.`;
+            const travelerId = travelerDoc.telegramId || `web_${travelerDoc.userId}`;
             await notifyPartner(travelerId, rejMsg);
 
-            await bot.editMessageText(`❌ <b>Rejected Final Delivery</b>\nID: <code>${reqId}</code>\nChat remains open.`, { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
+            await bot.editMessageText(`❌ <b>Rejected Final Delivery</b>\nIDs: S:${senderDoc.requestId} T:${travelerDoc.requestId}\nChat remains open.`, { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
             return bot.answerCallbackQuery(query.id);
         }
 
+        if (data.startsWith('d_admin_recode_')) {
+            if (String(chatId) !== String(ADMIN_GROUP_ID)) return bot.answerCallbackQuery(query.id);
+            const { senderDoc, travelerDoc } = await resolveDeliveryPair(data.replace('d_admin_recode_', ''));
+            if (!senderDoc || !travelerDoc || senderDoc.deliveryCompleted) return bot.answerCallbackQuery(query.id, { text: "Match is no longer active." });
+            if (!senderDoc.travelerReceived || senderDoc.deliveryCode?.verifiedAt) return bot.answerCallbackQuery(query.id, { text: "No delivery code to replace." });
+
+            await sendDeliveryCode(senderDoc, true);
+            await notifyPartner(
+                travelerDoc.telegramId || `web_${travelerDoc.userId}`,
+                `🔁 <b>A new delivery code was issued</b> for <code>${escapeHtml(senderDoc.requestId)}</code>.\n\nAsk the recipient for it and press Delivered again.`
+            );
+            await bot.editMessageText(`🔁 <b>New delivery code issued</b>\nSender: <code>${escapeHtml(senderDoc.requestId)}</code>\nTraveler: <code>${escapeHtml(travelerDoc.requestId)}</code>`, { chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML' });
+            return bot.answerCallbackQuery(query.id, { text: "New code sent to the sender." });
+        }
+
+        // re-post an expired request with new dates
+        if (data.startsWith('sender_repost_') || data.startsWith('traveler_repost_')) {
+            const role = data.startsWith('sender_') ? 'sender' : 'traveler';
+            const oldReqId = data.replace(`${role}_repost_`, '');
+            const oldDoc = await (role === 'sender' ? sendersCol : travelersCol).findOne({ requestId: oldReqId });
+            const isOwner = isRequestOwner(oldDoc, query.from.id);
+            if (!isOwner || oldDoc.status !== 'Expired') {
+                return bot.answerCallbackQuery(query.id, { text: 'This request cannot be re-posted.' });
+            }
+            await bot.answerCallbackQuery(query.id);
+            return startRepostFlow(chatId, role, oldDoc);
+        }
+
+        // cancel a request; a matched one needs the second (cancelok) tap
+        if (data.startsWith('sender_cancel') || data.startsWith('traveler_cancel')) {
+            const role = data.startsWith('sender_') ? 'sender' : 'traveler';
+            const confirmed = data.startsWith(`${role}_cancelok_`);
+            const reqId = data.replace(/^(sender|traveler)_cancel(ok)?_/, '');
+            const doc = await (role === 'sender' ? sendersCol : travelersCol).findOne({ requestId: reqId });
+            const isOwner = isRequestOwner(doc, query.from.id);
+            if (!isOwner) return bot.answerCallbackQuery(query.id, { text: 'This request cannot be cancelled.' });
+
+            const state = cancelStateOf(role, doc);
+            if (state === 'closed') return bot.answerCallbackQuery(query.id, { text: `This request is ${doc.status} and cannot be cancelled.`, show_alert: true });
+            if (state === 'handed_over') {
+                return bot.answerCallbackQuery(query.id, { text: 'The package has already been handed over. Please contact support to cancel.', show_alert: true });
+            }
+            await bot.answerCallbackQuery(query.id);
+
+            if (state === 'matched' && !confirmed) {
+                return bot.sendMessage(
+                    chatId,
+                    `⚠️ <code>${escapeHtml(reqId)}</code> is already matched. Cancelling ends the match, your partner is notified and goes back into matching.
+
+Cancel anyway?`,
+                    {
+                        parse_mode: 'HTML',
+                        reply_markup: {
+                            inline_keyboard: [
+                                [{ text: '🚫 Yes, cancel it', callback_data: `${role}_cancelok_${reqId}` }],
+                                ...backToMenuKeyboard.reply_markup.inline_keyboard
+                            ]
+                        }
+                    }
+                );
+            }
+
+            const released = await cancelRequest(role, doc, query.from.id);
+            return bot.sendMessage(
+                chatId,
+                `✅ Request <code>${escapeHtml(reqId)}</code> has been cancelled.` +
+                (released.length ? `
+Your match partner has been notified.` : ''),
+                { parse_mode: 'HTML', ...backToMenuKeyboard }
+            );
+        }
+
+        // repeat any earlier request with new dates
+        if (data.startsWith('sender_repeat_') || data.startsWith('traveler_repeat_')) {
+            const role = data.startsWith('sender_') ? 'sender' : 'traveler';
+            const oldReqId = data.replace(`${role}_repeat_`, '');
+            const oldDoc = await (role === 'sender' ? sendersCol : travelersCol).findOne({ requestId: oldReqId });
+            const isOwner = isRequestOwner(oldDoc, query.from.id);
+            if (!isOwner || !REPEATABLE_STATUSES.includes(oldDoc.status)) {
+                return bot.answerCallbackQuery(query.id, { text: 'This request cannot be repeated.' });
+            }
+            await bot.answerCallbackQuery(query.id);
+            return startRepostFlow(chatId, role, oldDoc, 'repeat');
+        }
+
+        // edit a submitted request: pick a field, then the new value arrives as text
+        if (data.startsWith('sender_edit') || data.startsWith('traveler_edit')) {
+            const role = data.startsWith('sender_') ? 'sender' : 'traveler';
+            const [reqId, field] = data.replace(/^(sender|traveler)_editf?_/, '').split('_');
+            const doc = await (role === 'sender' ? sendersCol : travelersCol).findOne({ requestId: reqId });
+            const isOwner = isRequestOwner(doc, query.from.id);
+            if (!isOwner) return bot.answerCallbackQuery(query.id, { text: 'This request cannot be edited.' });
+            const blocked = requestEditBlockReason(role, doc);
+            if (blocked) return bot.answerCallbackQuery(query.id, { text: blocked, show_alert: true });
+
+            await bot.answerCallbackQuery(query.id);
+            if (data.startsWith(`${role}_editf_`) && EDITABLE_FIELDS[role][field]) return startRequestEditFlow(chatId, role, doc, field);
+            return showRequestEditMenu(chatId, role, doc);
+        }
+
+        // destination metro: accept any airport of the city, or only the one entered
+        if (data === 'sender_metro_city' || data === 'sender_metro_airport') {
+            const session = userSessions[chatId];
+            if (!session || session.type !== 'sender' || session.step !== 'destination_match_mode') {
+                return bot.answerCallbackQuery(query.id, { text: 'Session expired.' });
+            }
+
+            const metro = metroByCode.get(session.data.destinationMetro);
+            session.data.destinationMatchMode = data === 'sender_metro_city' ? 'city' : 'airport';
+            session.step = 'package_weight';
+            await persistWebFlow(chatId, session);
+            await bot.answerCallbackQuery(query.id);
+
+            const choice = session.data.destinationMatchMode === 'city' && metro
+                ? `✅ Travelers landing at ${escapeHtml(formatMetro(metro))} will be matched.`
+                : `✅ Only travelers landing at ${escapeHtml(session.data.destinationCode || session.data.destination)} will be matched.`;
+            return bot.sendMessage(
+                chatId,
+                `${choice}\n\n⚖️ Enter Package Weight in kg (Max 10kg):`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        // declared value currency
+        if (data.startsWith('sender_cur_')) {
+            const session = userSessions[chatId];
+            if (!session || session.type !== 'sender' || session.step !== 'declared_currency') {
+                return bot.answerCallbackQuery(query.id, { text: 'Session expired.' });
+            }
+            await bot.answerCallbackQuery(query.id);
+            return applyDeclaredCurrency(chatId, session, data.replace('sender_cur_', ''));
+        }
+
         // categories
         if (data && data.startsWith('cat_')) {
 
@@ -2583,13 +5889,24 @@ bot.on('callback_query', async (query) => {
                 );
             }
 
+            const screening = screenItemText('category', value, session.data);
+            recordScreeningHits(session.data, screening.hits);
+            if (screening.blocked) {
+                await persistWebFlow(chatId, session);
+                return bot.sendMessage(
+                    chatId,
+                    blockedItemMessage(screening.blocked, '📦 Choose another package category:'),
+                    { parse_mode: 'HTML', ...categoryKeyboardSingle() }
+                );
+            }
+
             session.data.category = value;
-            session.step = 'package_photo';
-            session.expectingPhoto = 'package_photo';
+            session.step = 'declared_value';
+            await persistWebFlow(chatId, session);
 
             return bot.sendMessage(
                 chatId,
-                '📷 Upload a photo of the package (mandatory):',
+                restrictedItemNote(screening.hits) + '💰 Enter the declared value of the package contents (numbers only, e.g. 150):',
                 { parse_mode: 'HTML' }
             );
         }
@@ -2717,6 +6034,55 @@ function startSenderFlow(chatId) {
     bot.sendMessage(chatId, '👤 Enter your Full Name:', { parse_mode: 'HTML' });
 }
 
+// Web sessions survive restarts through the flow fields on the user document
+async function persistWebFlow(chatId, sess) {
+    if (!String(chatId).startsWith("web_")) return;
+    await usersCol.updateOne(
+        { _id: new ObjectId(sess.webUserId || String(chatId).replace("web_", "")) },
+        {
+            $set: {
+                flowStep: sess.step,
+                flowData: sess.data,
+                flowExpectingPhoto: sess.expectingPhoto || null
+            }
+        }
+    );
+}
+
+// Shared by the typed code and the currency buttons; opens the item manifest
+async function applyDeclaredCurrency(chatId, sess, code) {
+    sess.data.declaredCurrency = code;
+    sess.data.manifest = [];
+    sess.step = 'manifest_item';
+    await persistWebFlow(chatId, sess);
+    return bot.sendMessage(
+        chatId,
+        `✅ Declared value: <b>${escapeHtml(formatDeclaredValue(sess.data))}</b>\n\n` +
+        `🧾 List the items in the package, one per message, as <b>item, quantity, value in ${escapeHtml(code)}</b>.\n` +
+        `<i>Example: Shirts, 3, 45</i>\n\nType <b>Done</b> when finished.`,
+        { parse_mode: 'HTML' }
+    );
+}
+
+// Closes the manifest: an empty list becomes one line from the category, otherwise the total becomes the declared value
+async function finishManifest(chatId, sess) {
+    const data = sess.data;
+    let note = '';
+    if (!data.manifest?.length) {
+        data.manifest = [{ category: data.category, quantity: 1, value: data.declaredValue }];
+    } else {
+        const total = manifestTotal(data.manifest);
+        if (total !== data.declaredValue) {
+            note = `ℹ️ Declared value updated to the manifest total: <b>${escapeHtml(`${total} ${data.declaredCurrency}`)}</b>\n\n`;
+            data.declaredValue = total;
+        }
+    }
+    sess.step = 'package_photo';
+    sess.expectingPhoto = 'package_photo';
+    await persistWebFlow(chatId, sess);
+    return bot.sendMessage(chatId, note + '📷 Upload a photo of the package (mandatory):', { parse_mode: 'HTML' });
+}
+
 function startTravelerFlow(chatId) {
     userSessions[chatId] = {
         type: 'traveler',
@@ -2741,6 +6107,9 @@ AirDlivers is a secure communication platform that connects Senders with Airline
 • Admin verifies all documents  
 • Only routes, dates & weight are matched  
 • Users can confirm or skip matches  
+• Use /search to browse compatible requests yourself  
+• Use /cancel to withdraw a request before hand-over  
+• Use /track to follow a request's status timeline  
 • Once confirmed, users can chat inside the app  
 • Personal details remain hidden  
 • After delivery, the chat is closed  
@@ -3003,31 +6372,9 @@ bot.on('message', async (msg) => {
 
         // --- 🚛 Delivery Flow Note Capture (Telegram) ---
         if (session?.type === 'delivery_flow') {
-            const reqId = session.requestId;
-            const note = text.toLowerCase() === 'none' ? '' : text;
-            
-            if (session.step === 'handover_note') {
-                await sendersCol.updateOne({ requestId: reqId }, { $set: { handoverNote: note } });
-                await travelersCol.updateOne({ requestId: reqId }, { $set: { handoverNote: note } }); 
-                userSessions[chatId] = null;
-                await bot.sendMessage(chatId, "✅ Handover note saved. Chat remains open until final delivery.");
-                // Notify Admin
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `📋 <b>Traveler Confirmed Receipt</b>\nReq: <code>${reqId}</code>\nNote: ${note || 'None'}`, { parse_mode: 'HTML' });
-                return;
-            } else if (session.step === 'final_note') {
-                await travelersCol.updateOne({ requestId: reqId }, { $set: { finalNote: note, deliveryPendingApproval: true } });
-                userSessions[chatId] = null;
-                await bot.sendMessage(chatId, "✅ Final delivery note saved. Waiting for admin approval.");
-                // Notify Admin for approval
-                const adminKeyboard = {
-                    inline_keyboard: [
-                        [{ text: "✅ Approve Delivery", callback_data: `d_admin_app_${reqId}` }],
-                        [{ text: "❌ Reject", callback_data: `d_admin_rej_${reqId}` }]
-                    ]
-                };
-                await bot.sendMessage(String(ADMIN_GROUP_ID), `🏁 <b>Final Delivery Completed</b>\nReq: <code>${reqId}</code>\nNote: ${note || 'None'}\nApprove closure?`, { parse_mode: 'HTML', reply_markup: adminKeyboard });
-                return;
-            }
+            const { reply, done } = await handleDeliveryFlowText(session, text);
+            if (done) userSessions[chatId] = null;
+            return bot.sendMessage(chatId, reply);
         }
 
         // If no session → forward chat if matched
@@ -3041,24 +6388,8 @@ bot.on('message', async (msg) => {
 
 
         // Tracking flow
-        if (session.type === 'tracking' && session.step === 'tracking_phone') {
-            if (!isValidPhone(text)) {
-                return bot.sendMessage(chatId, '❌ Invalid phone number.');
-            }
-
-            const doc =
-                (await sendersCol.findOne({ 'data.phone': text })) ||
-                (await travelersCol.findOne({ 'data.phone': text }));
-
-            if (!doc) {
-                return bot.sendMessage(chatId, '❌ No shipment found.');
-            }
-
-            return bot.sendMessage(
-                chatId,
-                `<b>📦 Status:</b> ${escapeHtml(doc.status || 'Pending')}`,
-                { parse_mode: 'HTML' }
-            );
+        if (session.type === 'tracking' && session.step === 'tracking_id') {
+            return handleTrackingTextStep(chatId, text);
         }
 
         // Sender flow
@@ -3073,6 +6404,18 @@ bot.on('message', async (msg) => {
             return;
         }
 
+        // Route alert setup
+        if (session.type === 'alert') {
+            await handleAlertTextStep(chatId, text);
+            return;
+        }
+
+        // Editing a submitted request
+        if (session.type === 'edit') {
+            await handleEditTextStep(chatId, text);
+            return;
+        }
+
     } catch (err) {
         console.error('message handler error', err);
     }
@@ -3090,6 +6433,17 @@ bot.on('photo', async (msg) => {
         const fileId = msg.photo[msg.photo.length - 1].file_id;
         const session = userSessions[chatId];
 
+        // Handover / delivery proof photo from the traveler
+        if (session?.type === 'delivery_flow') {
+            if (!DELIVERY_PHOTO_STEPS[session.step]) {
+                return bot.sendMessage(chatId, "📝 Please type your note as text, or type 'None'.");
+            }
+            const photoUrl = await downloadTelegramFile(fileId, `tg_${session.step === 'handover_photo' ? 'hov' : 'dlv'}_${chatId}_${Date.now()}.jpg`);
+            const { reply, done } = await saveDeliveryPhoto(session, fileId, photoUrl);
+            if (done) userSessions[chatId] = null;
+            return bot.sendMessage(chatId, reply);
+        }
+
         // If in a session expecting a photo (sender/traveler flows)
         if (session) {
             if (session.type === 'sender') {
@@ -3098,7 +6452,7 @@ bot.on('photo', async (msg) => {
                     session.data.packagePhotoUrl = await downloadTelegramFile(fileId, `tg_pkg_${chatId}_${Date.now()}.jpg`);
                     session.expectingPhoto = null;
                     session.step = 'send_date';
-                    await bot.sendMessage(chatId, '📅 Enter Send Date (DD-MM-YYYY):', { parse_mode: 'HTML' });
+                    await bot.sendMessage(chatId, '📅 Enter the earliest date you can hand over the package (DD-MM-YYYY):', { parse_mode: 'HTML' });
                     return;
                 }
                 if (session.expectingPhoto === 'selfie_id') {
@@ -3152,6 +6506,7 @@ bot.on('photo', async (msg) => {
                 }
             }
         );
+        await recordTrackingEvent(pendingVisa.requestId, 'visa_uploaded');
 
         await bot.sendPhoto(String(ADMIN_GROUP_ID), fileId, {
             caption: `🛂 Visa uploaded for ${escapeHtml(pendingVisa.requestId)}`
@@ -3187,18 +6542,7 @@ async function handleSenderTextStep(chatId, text) {
             if (text.length < 2) return bot.sendMessage(chatId, 'Enter a valid full name (min 2 chars).');
             data.name = text;
             sess.step = 'sender_phone';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
                 '📞 Enter your Phone Number (example: +911234567089):',
@@ -3211,18 +6555,7 @@ async function handleSenderTextStep(chatId, text) {
             }
             data.phone = text.trim();
             sess.step = 'sender_email';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(chatId, '📧 Enter your Email:', { parse_mode: 'HTML' });
 
         case 'sender_email':
@@ -3231,64 +6564,65 @@ async function handleSenderTextStep(chatId, text) {
             }
             data.email = text.trim();
             sess.step = 'pickup_airport';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
                 '🛫 Enter Pickup Airport (From):\n\n<i>Note:✈️ Please enter the airport clearly.\nExample: "Dubai International Airport" or "DXB".\nAvoid spelling mistakes or nicknames to ensure accurate matching.</i>',
                 { parse_mode: 'HTML' }
             );
 
-        case 'pickup_airport':
+        case 'pickup_airport': {
             if (!text) {
                 return bot.sendMessage(chatId, 'Enter pickup airport name clearly as shown in example.');
             }
             data.pickup = text;
+            const pickupAirport = resolveAirport(text);
+            data.pickupCode = pickupAirport?.iata || null;
             sess.step = 'destination_airport';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
+                airportRecognitionNote(pickupAirport) +
                 '🛬 Enter Destination Airport (To):\n\n<i>Note:✈️ Please enter the airport clearly.\nExample: "Heathrow Airport" or "LHR".\nAvoid spelling mistakes or nicknames to ensure accurate matching.</i>',
                 { parse_mode: 'HTML' }
             );
+        }
 
-        case 'destination_airport':
+        case 'destination_airport': {
             data.destination = text;
-            sess.step = 'package_weight';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
+            const destinationAirport = resolveAirport(text);
+            const destinationMetro = destinationAirport ? metroForAirport(destinationAirport.iata) : resolveMetro(text);
+            data.destinationCode = destinationAirport?.iata || null;
+            data.destinationMetro = destinationMetro?.code || null;
+            data.destinationMatchMode = (!destinationAirport && destinationMetro) ? 'city' : 'airport';
+
+            // A specific airport in a multi-airport city: let the sender opt into city-level matching
+            if (destinationAirport && destinationMetro) {
+                sess.step = 'destination_match_mode';
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(
+                    chatId,
+                    airportRecognitionNote(destinationAirport) +
+                    `🏙 ${escapeHtml(destinationMetro.name)} has several airports (${destinationMetro.airports.join(', ')}).\n` +
+                    `Would you accept a traveler landing at any of them?`,
+                    { parse_mode: 'HTML', ...metroModeKeyboard(destinationMetro) }
                 );
             }
-            return bot.sendMessage(chatId, '⚖️ Enter Package Weight in kg (Max 10kg):', { parse_mode: 'HTML' });
+
+            sess.step = 'package_weight';
+            await persistWebFlow(chatId, sess);
+            const destinationNote = data.destinationMatchMode === 'city'
+                ? `✅ Recognised: <b>${escapeHtml(formatMetro(destinationMetro))}</b>\n\n`
+                : airportRecognitionNote(destinationAirport);
+            return bot.sendMessage(
+                chatId,
+                destinationNote + '⚖️ Enter Package Weight in kg (Max 10kg):',
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'destination_match_mode':
+            return bot.sendMessage(chatId, 'Please choose one of the options above to continue.');
 
         case 'package_weight': {
             const m = text.match(/(\d+(\.\d+)?)/);
@@ -3303,20 +6637,24 @@ async function handleSenderTextStep(chatId, text) {
                 );
             }
             data.weight = w;
-            sess.step = 'package_category';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
+            sess.step = 'package_dimensions';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                '📐 Enter the package size in cm as Length x Width x Height (e.g. 40x30x20):',
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'package_dimensions': {
+            const dims = parseDimensions(text);
+            if (!dims) {
+                return bot.sendMessage(chatId, `❌ Enter the size as three numbers in cm, e.g. 40x30x20 (max ${MAX_PACKAGE_SIDE_CM} cm per side).`);
             }
+            data.dimensions = dims;
+            sess.step = 'package_category';
             sess.data.category = "";
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
                 '📦 Choose package category:',
@@ -3339,27 +6677,27 @@ async function handleSenderTextStep(chatId, text) {
                     );
                 }
 
-                data.category = value;
-
-                sess.step = 'package_photo';
-                sess.expectingPhoto = 'package_photo';
-
-                if (String(chatId).startsWith("web_")) {
-                    await usersCol.updateOne(
-                        { _id: new ObjectId(sess.webUserId) },
-                        {
-                            $set: {
-                                flowStep: sess.step,
-                                flowData: sess.data,
-                                flowExpectingPhoto: sess.expectingPhoto || null
-                            }
-                        }
+                const screening = screenItemText('category', value, data);
+                recordScreeningHits(data, screening.hits);
+                if (screening.blocked) {
+                    await persistWebFlow(chatId, sess);
+                    return bot.sendMessage(
+                        chatId,
+                        blockedItemMessage(screening.blocked, '📦 Choose another package category:'),
+                        { parse_mode: 'HTML', ...categoryKeyboardSingle() }
                     );
                 }
 
+                data.category = value;
+
+                sess.step = 'declared_value';
+
+                await persistWebFlow(chatId, sess);
+
                 return bot.sendMessage(
                     chatId,
-                    '📷 Upload a photo of the package (mandatory):'
+                    restrictedItemNote(screening.hits) + '💰 Enter the declared value of the package contents (numbers only, e.g. 150):',
+                    { parse_mode: 'HTML' }
                 );
             }
 
@@ -3373,27 +6711,84 @@ async function handleSenderTextStep(chatId, text) {
                 );
             }
 
+            const otherScreening = screenItemText('category_other', text, data);
+            recordScreeningHits(data, otherScreening.hits);
+            if (otherScreening.blocked) {
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(
+                    chatId,
+                    blockedItemMessage(otherScreening.blocked, '✏️ Please enter a different category type:'),
+                    { parse_mode: 'HTML' }
+                );
+            }
+
             data.category = text;
-            sess.step = 'package_photo';
-            sess.expectingPhoto = 'package_photo';
+            sess.step = 'declared_value';
 
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
+            await persistWebFlow(chatId, sess);
+
+            return bot.sendMessage(
+                chatId,
+                restrictedItemNote(otherScreening.hits) + '💰 Enter the declared value of the package contents (numbers only, e.g. 150):',
+                { parse_mode: 'HTML' }
+            );
+
+        case 'declared_value': {
+            const value = Number(String(text).replace(/,/g, '').trim());
+            if (!text || isNaN(value) || value < 0) {
+                return bot.sendMessage(chatId, '❌ Enter the value as a number (e.g. 150), or 0 for items without commercial value.');
+            }
+            data.declaredValue = Math.round(value * 100) / 100;
+            sess.step = 'declared_currency';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                '💱 Choose the currency of the declared value, or type a 3-letter code (e.g. QAR):',
+                { parse_mode: 'HTML', ...currencyKeyboard() }
+            );
+        }
+
+        case 'declared_currency': {
+            const code = String(text || '').trim().toUpperCase();
+            if (!/^[A-Z]{3}$/.test(code)) {
+                return bot.sendMessage(chatId, '❌ Enter a 3-letter currency code (e.g. USD, EUR, INR).', currencyKeyboard());
+            }
+            return applyDeclaredCurrency(chatId, sess, code);
+        }
+
+        case 'manifest_item': {
+            if (text.trim().toLowerCase() === 'done') return finishManifest(chatId, sess);
+
+            const item = parseManifestItem(text);
+            if (!item) {
+                return bot.sendMessage(chatId, "❌ Use the format: item, quantity, value (e.g. Shirts, 3, 45), or type 'Done'.");
+            }
+            const itemScreening = screenItemText('manifest', item.category, data);
+            recordScreeningHits(data, itemScreening.hits);
+            if (itemScreening.blocked) {
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(
+                    chatId,
+                    blockedItemMessage(itemScreening.blocked, "🧾 Enter another item, or type 'Done':"),
+                    { parse_mode: 'HTML' }
                 );
             }
 
+            data.manifest = data.manifest || [];
+            data.manifest.push(item);
+            if (data.manifest.length >= MAX_MANIFEST_ITEMS) return finishManifest(chatId, sess);
+
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
-                '📷 Upload a photo of the package (mandatory):'
+                restrictedItemNote(itemScreening.hits) +
+                `✅ Added ${escapeHtml(item.category)} ×${item.quantity} (${data.manifest.length}/${MAX_MANIFEST_ITEMS}).\n` +
+                `Running total: <b>${escapeHtml(`${manifestTotal(data.manifest)} ${data.declaredCurrency}`)}</b>\n\n` +
+                "Enter the next item, or type 'Done':",
+                { parse_mode: 'HTML' }
             );
+        }
+
         case 'send_date': {
 
             if (!text || text.trim().length === 0) {
@@ -3417,21 +6812,38 @@ async function handleSenderTextStep(chatId, text) {
             }
 
             data.sendDate = moment(d).format('DD-MM-YYYY');
-            sess.step = 'arrival_date';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
+            sess.step = 'send_date_to';
+            await persistWebFlow(chatId, sess);
+
+            return bot.sendMessage(
+                chatId,
+                `📅 Enter the latest date you can hand over the package (DD-MM-YYYY), or type 'Same' if only ${escapeHtml(data.sendDate)} works:`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'send_date_to': {
+            if (text.trim().toLowerCase() === 'same') {
+                data.sendDateTo = data.sendDate;
+            } else {
+                const d = parseDate_ddmmyyyy(text);
+                if (!d) {
+                    return bot.sendMessage(chatId,
+                        '⚠️ <b>INVALID DATE FORMAT</b>\n\n' +
+                        '📅 Please enter the date in <b>DD-MM-YYYY</b> format, or type <b>Same</b>.\n' +
+                        '<i>Example: 25-03-2026</i>',
+                        { parse_mode: 'HTML' }
+                    );
+                }
+                if (d < moment(data.sendDate, 'DD-MM-YYYY').toDate()) {
+                    return bot.sendMessage(chatId, 'The latest send date cannot be earlier than the earliest send date.');
+                }
+                data.sendDateTo = moment(d).format('DD-MM-YYYY');
             }
 
-            return bot.sendMessage(chatId, '📅 Enter Arrival Date (DD-MM-YYYY):', { parse_mode: 'HTML' });
+            sess.step = 'arrival_date';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(chatId, '📅 Enter the date the package must arrive by (DD-MM-YYYY):', { parse_mode: 'HTML' });
         }
 
         case 'arrival_date': {
@@ -3446,24 +6858,41 @@ async function handleSenderTextStep(chatId, text) {
             }
 
             if (d < todayStart()) return bot.sendMessage(chatId, 'Arrival Date cannot be in the past.');
-            if (data.sendDate) {
-                const sd = moment(data.sendDate, 'DD-MM-YYYY').toDate();
-                if (sd && d < sd) return bot.sendMessage(chatId, 'Arrival Date cannot be earlier than Send Date.');
+            const lastSendDate = data.sendDateTo || data.sendDate;
+            if (lastSendDate) {
+                const sd = moment(lastSendDate, 'DD-MM-YYYY').toDate();
+                if (sd && d < sd) return bot.sendMessage(chatId, 'Arrival Date cannot be earlier than the last Send Date.');
             }
             data.arrivalDate = moment(d).format('DD-MM-YYYY');
-            sess.step = 'selfie_id';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
+            sess.step = 'recipient_name';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                '📬 Who will receive the package at the destination? Enter the recipient\'s full name:\n\n<i>They will get a link to follow the shipment and confirm when it arrives.</i>',
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'recipient_name': {
+            if (text.length < 2) return bot.sendMessage(chatId, 'Enter the recipient\'s full name (min 2 chars).');
+            data.recipientName = text;
+            sess.step = 'recipient_phone';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(chatId, '📞 Enter the recipient\'s phone number (example: +441234567890):', { parse_mode: 'HTML' });
+        }
+
+        case 'recipient_phone': {
+            if (!isValidPhone(text)) {
+                return bot.sendMessage(chatId, '❌ Invalid phone number. Use like +441234567890');
+            }
+            data.recipientPhone = text.trim();
+            if (data.identityReusedFrom) {
+                sess.step = 'optional_notes';
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(chatId, "🪪 Using your verified ID.\n\n📝 Add optional notes or type 'None':", { parse_mode: 'HTML' });
             }
+            sess.step = 'selfie_id';
+            await persistWebFlow(chatId, sess);
             sess.expectingPhoto = 'selfie_id';
             return bot.sendMessage(
                 chatId,
@@ -3477,6 +6906,17 @@ async function handleSenderTextStep(chatId, text) {
                 return bot.sendMessage(chatId, "📝 Please type your notes or 'None' to continue.");
             }
 
+            const notesScreening = screenItemText('notes', text, data);
+            recordScreeningHits(data, notesScreening.hits);
+            if (notesScreening.blocked) {
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(
+                    chatId,
+                    blockedItemMessage(notesScreening.blocked, "📝 Please edit your notes or type 'None':"),
+                    { parse_mode: 'HTML' }
+                );
+            }
+
             data.notes = (text.toLowerCase() === 'none') ? '' : text;
 
             sess.requestId = makeRequestId('snd');
@@ -3493,17 +6933,7 @@ async function handleSenderTextStep(chatId, text) {
                 );
             }
             sess.step = 'confirm_pending';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
 
             let html = `<b>🧾 Sender Summary</b>\n\n`;
             html += `<b>Request ID:</b> <code>${escapeHtml(sess.requestId)}</code>\n`;
@@ -3512,11 +6942,19 @@ async function handleSenderTextStep(chatId, text) {
             html += `<b>Email:</b> ${escapeHtml(data.email)}\n`;
             html += `<b>Pickup:</b> ${escapeHtml(data.pickup)}\n`;
             html += `<b>Destination:</b> ${escapeHtml(data.destination)}\n`;
+            if (data.destinationMatchMode === 'city' && metroByCode.get(data.destinationMetro)) {
+                html += `<b>Accepts:</b> ${escapeHtml(formatMetro(metroByCode.get(data.destinationMetro)))}\n`;
+            }
             html += `<b>Weight:</b> ${escapeHtml(String(data.weight))} kg\n`;
+            html += `<b>Size:</b> ${escapeHtml(formatDimensions(data.dimensions))}\n`;
             html += `<b>Category:</b> ${escapeHtml(data.category || "N/A")}\n`;
-            html += `<b>Send:</b> ${escapeHtml(data.sendDate)}\n`;
-            html += `<b>Arrival:</b> ${escapeHtml(data.arrivalDate)}\n`;
+            html += formatManifest(data);
+            html += `<b>Declared Value:</b> ${escapeHtml(formatDeclaredValue(data))}\n`;
+            html += `<b>Send Window:</b> ${escapeHtml(formatSendWindow(data))}\n`;
+            html += `<b>Deliver By:</b> ${escapeHtml(data.arrivalDate)}\n`;
+            html += `<b>Recipient:</b> ${escapeHtml(data.recipientName)} (${escapeHtml(data.recipientPhone)})\n`;
             if (data.notes) html += `<b>Notes:</b> ${escapeHtml(data.notes)}\n`;
+            html += formatCustomsWarnings(data);
 
             return bot.sendMessage(chatId, html, {
                 parse_mode: 'HTML',
@@ -3537,18 +6975,7 @@ async function handleTravelerTextStep(chatId, text) {
             if (text.length < 2) return bot.sendMessage(chatId, 'Enter valid full name.');
             data.name = text;
             sess.step = 'traveler_phone';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
                 '📞 Enter your Phone Number (example: +911234567089):',
@@ -3559,40 +6986,25 @@ async function handleTravelerTextStep(chatId, text) {
             if (!isValidPhone(text)) return bot.sendMessage(chatId, '❌ Invalid phone format. Use +911234567890');
             data.phone = text.trim();
             sess.step = 'departure_airport';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(
                 chatId,
                 '🛫 Enter Departure Airport (From):\n\n <i> Note:✈️ Please enter the airport clearly.\nExample: "Mumbai International" or "BOM".\nAvoid spelling mistakes or nicknames to ensure accurate matching.</i>',
                 { parse_mode: 'HTML' }
             );
 
-        case 'departure_airport':
+        case 'departure_airport': {
             data.departure = text;
+            const departureAirport = resolveAirport(text);
+            data.departureCode = departureAirport?.iata || null;
             sess.step = 'departure_country';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
-            return bot.sendMessage(chatId, '🌍 Enter Departure Country (used to determine visa rules):', { parse_mode: 'HTML' });
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                airportRecognitionNote(departureAirport) + '🌍 Enter Departure Country (used to determine visa rules):',
+                { parse_mode: 'HTML' }
+            );
+        }
 
         case 'departure_country':
             data.departureCountry = text;
@@ -3603,38 +7015,23 @@ async function handleTravelerTextStep(chatId, text) {
                 { parse_mode: 'HTML' }
             );
 
-        case 'destination_airport':
+        case 'destination_airport': {
             data.destination = text;
+            const destinationAirport = resolveAirport(text);
+            data.destinationCode = destinationAirport?.iata || null;
             sess.step = 'arrival_country';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
-            return bot.sendMessage(chatId, '🌍 Enter Arrival Country:', { parse_mode: 'HTML' });
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                airportRecognitionNote(destinationAirport) + '🌍 Enter Arrival Country:',
+                { parse_mode: 'HTML' }
+            );
+        }
 
         case 'arrival_country':
             data.arrivalCountry = text;
             sess.step = 'departure_time';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(chatId, '⏰ Enter Departure Date & Time (DD-MM-YYYY HH:mm):', { parse_mode: 'HTML' });
 
         case 'departure_time': {
@@ -3642,18 +7039,7 @@ async function handleTravelerTextStep(chatId, text) {
             if (!dt) return bot.sendMessage(chatId, '❌ Invalid format. Use DD-MM-YYYY HH:mm');
             data.departureTime = moment(dt).format('DD-MM-YYYY HH:mm');
             sess.step = 'arrival_time';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(chatId, '⏰ Enter Arrival Date & Time (DD-MM-YYYY HH:mm):', { parse_mode: 'HTML' });
         }
 
@@ -3661,19 +7047,21 @@ async function handleTravelerTextStep(chatId, text) {
             const dt = parseDate_ddmmyyyy_hhmm(text);
             if (!dt) return bot.sendMessage(chatId, '❌ Invalid format. Use DD-MM-YYYY HH:mm');
             data.arrivalTime = moment(dt).format('DD-MM-YYYY HH:mm');
-            sess.step = 'available_weight';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data,
-                            flowExpectingPhoto: sess.expectingPhoto || null
-                        }
-                    }
+            // Repeat trips keep route, weight and passport; only the itinerary (and ID if expired) is new
+            if (data.repeatOf) {
+                sess.step = data.identityReusedFrom ? 'itinerary_photo' : 'passport_selfie';
+                sess.expectingPhoto = sess.step;
+                await persistWebFlow(chatId, sess);
+                return bot.sendMessage(
+                    chatId,
+                    data.identityReusedFrom
+                        ? '🪪 Using your verified passport selfie.\n\n📄 Upload your Itinerary Photo for this trip (mandatory):'
+                        : '📸 Upload a selfie holding your passport (mandatory):',
+                    { parse_mode: 'HTML' }
                 );
             }
+            sess.step = 'available_weight';
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(chatId, '⚖️ Enter Available Weight (kg) (Max 10):', { parse_mode: 'HTML' });
         }
 
@@ -3690,7 +7078,27 @@ async function handleTravelerTextStep(chatId, text) {
                 );
             }
             data.availableWeight = w;
+            sess.step = 'max_dimensions';
+            await persistWebFlow(chatId, sess);
+            return bot.sendMessage(
+                chatId,
+                "📐 Enter the largest package size you can carry in cm as Length x Width x Height (e.g. 55x40x20), or type 'Any':",
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        case 'max_dimensions': {
+            if (text.trim().toLowerCase() === 'any') {
+                data.maxDimensions = null;
+            } else {
+                const dims = parseDimensions(text);
+                if (!dims) {
+                    return bot.sendMessage(chatId, "❌ Enter the size as three numbers in cm, e.g. 55x40x20, or type 'Any'.");
+                }
+                data.maxDimensions = dims;
+            }
             sess.step = 'passport_number';
+            await persistWebFlow(chatId, sess);
             return bot.sendMessage(chatId, '🛂 Enter your Passport Number (example: L7982227):', { parse_mode: 'HTML' });
         }
 
@@ -3717,17 +7125,7 @@ async function handleTravelerTextStep(chatId, text) {
 
             sess.requestId = makeRequestId('trv');
             sess.step = 'confirm_pending';
-            if (String(chatId).startsWith("web_")) {
-                await usersCol.updateOne(
-                    { _id: new ObjectId(sess.webUserId) },
-                    {
-                        $set: {
-                            flowStep: sess.step,
-                            flowData: sess.data
-                        }
-                    }
-                );
-            }
+            await persistWebFlow(chatId, sess);
             let html = `<b>🧾 Traveler Summary</b>\n\n`;
             html += `<b>Request ID:</b> <code>${escapeHtml(sess.requestId)}</code>\n`;
             html += `<b>Name:</b> ${escapeHtml(data.name)}\n`;
@@ -3737,6 +7135,7 @@ async function handleTravelerTextStep(chatId, text) {
             html += `<b>Departure:</b> ${escapeHtml(data.departureTime)}\n`;
             html += `<b>Arrival:</b> ${escapeHtml(data.arrivalTime)}\n`;
             html += `<b>Available Weight:</b> ${escapeHtml(String(data.availableWeight))} kg\n`;
+            html += `<b>Max Package Size:</b> ${escapeHtml(data.maxDimensions ? formatDimensions(data.maxDimensions) : 'Any')}\n`;
             html += `<b>Passport:</b> ${escapeHtml(data.passportNumber)}\n`;
             if (data.notes) html += `<b>Notes:</b> ${escapeHtml(data.notes)}\n`;
 
@@ -3777,6 +7176,7 @@ async function handleFinalSenderSubmit(chatId, session) {
 
         await sendersCol.insertOne(doc);
         await backupSenderToJSON(doc);
+        await recordTrackingEvent(doc.requestId, 'submitted', doc.data?.repeatOf ? `repeat of ${doc.data.repeatOf}` : '');
 
         // ✅ Only send confirmation to Telegram users
         if (!isWebUser) {
@@ -3794,11 +7194,21 @@ async function handleFinalSenderSubmit(chatId, session) {
         summary += `<b>Phone:</b> ${escapeHtml(session.data.phone)}\n`;
         summary += `<b>Pickup:</b> ${escapeHtml(session.data.pickup)}\n`;
         summary += `<b>Destination:</b> ${escapeHtml(session.data.destination)}\n`;
+        if (session.data.destinationMatchMode === 'city' && metroByCode.get(session.data.destinationMetro)) {
+            summary += `<b>Accepts:</b> ${escapeHtml(formatMetro(metroByCode.get(session.data.destinationMetro)))}\n`;
+        }
         summary += `<b>Weight:</b> ${escapeHtml(String(session.data.weight))} kg\n`;
+        summary += `<b>Size:</b> ${escapeHtml(formatDimensions(session.data.dimensions))}\n`;
         summary += `<b>Category:</b> ${escapeHtml(session.data.category || "N/A")}\n`;
-        summary += `<b>Send:</b> ${escapeHtml(session.data.sendDate)}\n`;
-        summary += `<b>Arrival:</b> ${escapeHtml(session.data.arrivalDate)}\n`;
+        summary += formatManifest(session.data);
+        summary += `<b>Declared Value:</b> ${escapeHtml(formatDeclaredValue(session.data))}\n`;
+        summary += `<b>Send Window:</b> ${escapeHtml(formatSendWindow(session.data))}\n`;
+        summary += `<b>Deliver By:</b> ${escapeHtml(session.data.arrivalDate)}\n`;
+        if (session.data.recipientName) summary += `<b>Recipient:</b> ${escapeHtml(session.data.recipientName)} (${escapeHtml(session.data.recipientPhone)})\n`;
         if (session.data.notes) summary += `<b>Notes:</b> ${escapeHtml(session.data.notes)}\n`;
+        summary += formatRepeatForAdmin(session.data);
+        summary += formatScreeningForAdmin(session.data);
+        summary += formatCustomsWarnings(session.data);
 
         await bot.sendMessage(String(ADMIN_GROUP_ID), summary, { parse_mode: 'HTML' });
 
@@ -3858,6 +7268,7 @@ async function handleFinalTravelerSubmit(chatId, session) {
             telegramId: String(chatId).startsWith("web_") ? null : chatId,
             role: 'traveler',
             data: session.data,
+            remainingWeight: session.data.availableWeight,
             status: 'Pending',
             adminNote: '',
             createdAt: new Date(),
@@ -3868,6 +7279,7 @@ async function handleFinalTravelerSubmit(chatId, session) {
 
         await travelersCol.insertOne(doc);
         await backupTravelerToJSON(doc);
+        await recordTrackingEvent(doc.requestId, 'submitted', doc.data?.repeatOf ? `repeat of ${doc.data.repeatOf}` : '');
 
         // ✅ Only Telegram users get confirmation
         if (!isWebUser) {
@@ -3888,8 +7300,10 @@ async function handleFinalTravelerSubmit(chatId, session) {
         summary += `<b>Departure:</b> ${escapeHtml(session.data.departureTime)}\n`;
         summary += `<b>Arrival:</b> ${escapeHtml(session.data.arrivalTime)}\n`;
         summary += `<b>Weight:</b> ${escapeHtml(String(session.data.availableWeight))} kg\n`;
+        summary += `<b>Max Package Size:</b> ${escapeHtml(session.data.maxDimensions ? formatDimensions(session.data.maxDimensions) : 'Any')}\n`;
         summary += `<b>Passport:</b> ${escapeHtml(session.data.passportNumber)}\n`;
         if (session.data.notes) summary += `<b>Notes:</b> ${escapeHtml(session.data.notes)}\n`;
+        summary += formatRepeatForAdmin(session.data);
 
         await bot.sendMessage(String(ADMIN_GROUP_ID), summary, { parse_mode: 'HTML' });
 
@@ -3960,8 +7374,14 @@ async function processApprove(requestId, invokedBy, query) {
         const col = found.role === 'sender' ? sendersCol : travelersCol;
         await col.updateOne(
             { requestId },
-            { $set: { status: 'Approved', adminNote: `Approved by admin ${invokedBy}`, updatedAt: new Date() } }
+            {
+                $set: { status: 'Approved', adminNote: `Approved by admin ${invokedBy}`, approvedAt: new Date(), updatedAt: new Date() },
+                $unset: { pendingEdit: "" }
+            }
         );
+        // Edits that only touched non-matching fields (e.g. notes) keep the existing suggestions
+        const rematch = found.pendingEdit?.rematch !== false;
+        await recordTrackingEvent(requestId, 'approved');
 
         const matchLine = found.role === 'sender'
             ? 'Please wait for matching traveler.'
@@ -4005,7 +7425,11 @@ async function processApprove(requestId, invokedBy, query) {
             { parse_mode: 'HTML' }
         );
 
-        await triggerMatchingForRequest(found.role, requestId);
+        if (found.role === 'sender') await sendRecipientInvite(found);
+        if (rematch) {
+            await triggerMatchingForRequest(found.role, requestId);
+            await evaluateRouteAlerts(found.role, requestId);
+        }
     } catch (err) {
         console.error('processApprove err', err);
         if (query) await bot.answerCallbackQuery(query.id, { text: 'Error during approval.' });
@@ -4047,6 +7471,8 @@ async function processReject(requestId, reasonText, invokedBy, query) {
             }
         );
 
+        await recordTrackingEvent(requestId, 'rejected', reasonText);
+
         // 🛡️ Close any open support tickets for this rejected request
         await supportTicketsCol.updateMany({ requestId }, { $set: { status: 'closed', closedAt: new Date(), closedBy: 'admin_rejection' } });
 
@@ -4119,6 +7545,7 @@ async function processRequestVisa(requestId, invokedBy, query) {
                 }
             }
         );
+        await recordTrackingEvent(requestId, 'visa_requested');
 
         try {
             const isWebUser = !found.telegramId;
@@ -4156,9 +7583,22 @@ async function processRequestVisa(requestId, invokedBy, query) {
     }
 }
 
+// ------------------- background jobs -------------------
+const matchSweepTimer = MATCH_SWEEP_INTERVAL_MINUTES > 0
+    ? setInterval(() => runMatchSweep(), MATCH_SWEEP_INTERVAL_MINUTES * 60 * 1000)
+    : null;
+const pendingExpiryTimer = setInterval(() => expirePendingConfirmations(), 5 * 60 * 1000);
+const requestExpiryTimer = setInterval(() => expireStaleRequests(), 60 * 60 * 1000);
+const inTransitTimer = setInterval(() => markShipmentsInTransit(), 60 * 60 * 1000);
+expireStaleRequests();
+
 // ------------------- graceful shutdown -------------------
 process.on('SIGINT', async () => {
     console.log('Shutting down...');
+    if (matchSweepTimer) clearInterval(matchSweepTimer);
+    clearInterval(pendingExpiryTimer);
+    clearInterval(requestExpiryTimer);
+    clearInterval(inTransitTimer);
     try { if (mongoClient) await mongoClient.close(); } catch (e) { }
     process.exit(0);
 });